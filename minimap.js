@@ -2,17 +2,19 @@
  * Enhanced Minimap for ComfyUI with additional features
  *
  * This script implements a minimap overlay for the ComfyUI graph.  It
- * draws a scaled representation of the current graph in the bottom‑right
- * corner of the viewport, including the connections between nodes.  Error
- * nodes are highlighted in red, bypassed nodes are highlighted in the
- * same purple as the main UI, and the minimap fades out after a period
- * of inactivity (default 3 seconds).  Dragging on the minimap pans the
- * main graph accordingly.  When image preview nodes (e.g. Preview Image
+ * draws a scaled representation of the current graph in a corner of the
+ * viewport (or floating wherever the user drops it), including the
+ * connections between nodes.  Error nodes are highlighted in red, bypassed
+ * nodes are highlighted in the same purple as the main UI, and the minimap
+ * fades out after a period of inactivity (default 3 seconds).  Dragging on
+ * the minimap pans the main graph accordingly; the minimap itself can be
+ * moved, docked and resized with its handles.  When image preview nodes (e.g. Preview Image
  * or Load Image) are present, a tiny preview of the image is drawn in
  * the node box on the minimap.
  */
 
 import { api } from "../../scripts/api.js";
+import { app } from "../../scripts/app.js";
 
 console.log("Enhanced minimap extension with previews loaded");
 
@@ -21,46 +23,316 @@ console.log("Enhanced minimap extension with previews loaded");
 // ComfyUI's LiteGraph implementation.
 const NODE_TITLE_HEIGHT = 30;
 
-// Keep track of the currently executing node (highlighted in green).
-let currentExecutingNode = "0";
+// Run state of the current prompt, built from ComfyUI's execution events
+// by setupExecutionEvents() and drawn by renderOverlay().  Node ids are
+// stored as strings since the events and the graph don't always agree on
+// the type.  `version` is bumped on every update so the frame loop knows
+// the overlay needs redrawing.
+const executionState = {
+    promptId: null,
+    running: null,        // id of the executing node, or null when idle
+    progress: null,       // { value, max } step progress of the running node
+    executed: new Set(),  // ids of nodes that finished during this run
+    cached: new Set(),    // ids of nodes whose output was reused from cache
+    failed: null,         // { nodeId, message } from execution_error
+    version: 0,
+};
+
+// Wall-clock execution time per node, in milliseconds.  `current` holds
+// the durations for the prompt that is running; when it finishes the map
+// moves to the front of `history`, which keeps the last
+// settings.heatmapHistory runs.  Used by the heatmap display mode.
+const nodeTimings = {
+    current: null,   // Map of node id -> duration for the running prompt
+    startedAt: 0,    // when executionState.running started executing
+    history: [],     // Maps of finished runs, newest first
+};
+
+// State of the minimap search box.  `matches` holds the matching nodes,
+// best match first, and `index` the one the user last jumped to (-1
+// before the first jump).  `version` is bumped on every change so the
+// overlay is redrawn.
+const searchState = {
+    query: "",
+    matches: [],
+    index: -1,
+    version: 0,
+};
+
+// Errors reported by ComfyUI for the current workflow, keyed by node id
+// (as a string).  Entries come from the node_errors of a rejected prompt
+// (validation) and from execution_error (runtime).  Each entry holds the
+// messages and the node's input signature when the error was reported, so
+// the error can be dropped once the user changes that node.
+const nodeErrors = {
+    entries: new Map(),  // id -> { messages: string[], signature: string }
+    source: null,        // the last app.lastNodeErrors object imported
+    version: 0,
+};
+
+// Nodes selected in the main canvas, refreshed every frame by
+// updateSelection(), and the rubber band being dragged on the minimap
+// (minimap coordinates) while the user Shift-drags.
+const selection = {
+    key: "",                 // sorted ids, to detect changes cheaply
+    nodes: [],
+    ids: new Set(),          // ids of the selected nodes, as strings
+    band: null,              // { x0, y0, x1, y1 } or null
+};
+
+// Upstream/downstream subgraph of the nodes selected in the main canvas,
+// recomputed by updateLineage() when the selection or the graph changes.
+// Node and link ids are stored as strings.
+const lineage = {
+    key: null,               // selection and graph signature it was computed for
+    upstream: new Set(),     // ids of nodes feeding the selection
+    downstream: new Set(),   // ids of nodes fed by the selection
+    upstreamLinks: new Set(),
+    downstreamLinks: new Set(),
+};
+
+// Named views of the main canvas saved with the workflow.  The bookmarks
+// themselves live in the graph's extra data (see getBookmarks()) so they
+// are saved in the workflow JSON; this only tracks which list the
+// bookmark panel was last built from.  `version` is bumped on every change
+// so the overlay is redrawn.
+const bookmarkState = {
+    source: null,            // the bookmark array the panel shows
+    version: 0,
+};
+
+// Problems found in the shown graph by updateLint() while lint mode is
+// on, one entry per LINT_CATEGORIES category, recomputed whenever the
+// graph changes.  `reasons` explains each flagged node (keyed by id as a
+// string) for the tooltip, and `current` is the node the summary panel
+// last jumped to.  `version` is bumped on every change so the overlay is
+// redrawn.
+const lintState = {
+    key: null,               // lint setting and graph signature it was computed for
+    results: [],             // { category, nodes, count, cursor }
+    reasons: new Map(),      // id -> messages
+    current: null,
+    version: 0,
+};
+
+// The workflow as it was when the last prompt was queued, and how it
+// differs from that now, refreshed by updateRunDiff().  `changes` maps
+// node ids (as strings) to the kinds of change ("added", "rewired",
+// "changed") and the tooltip lines describing them; `removed` holds the
+// snapshot entries of nodes that no longer exist.  Only the workflow root
+// is compared, since that is what gets queued.  `version` is bumped
+// whenever the highlighted nodes change so the overlay is redrawn.
+const runDiff = {
+    snapshot: null,          // Map of id -> snapshot entry, see takeRunSnapshot()
+    changes: new Map(),
+    removed: [],
+    key: "",
+    compared: null,          // the snapshot `changes` was computed against
+    hash: null,              // computeRunDiffHash() of the graph at the time
+    version: 0,
+};
+
+// What other extensions have added through the public API (minimapApi,
+// exposed as app.minimap): overlay layers drawn on top of the minimap,
+// node decorators that colour node boxes, extra display modes and
+// listeners for click/hover events.  Overlay layers are kept sorted by
+// zIndex and decorators by priority, highest first.
+const overlayLayers = [];     // { id, zIndex, draw(ctx, info) }
+const nodeDecorators = [];    // { id, priority, decorate(node) }
+const displayModes = new Map();  // id -> { id, prepare, nodeColour, legend, hidePreviews }
+const eventHandlers = { click: new Set(), hover: new Set() };
+let extensionVersion = 0;     // bumped by minimapApi.invalidate()
+
+// The viewport rectangle's place in the overlay stack.  Overlay layers
+// with a lower zIndex are drawn below it, higher ones above.  The
+// built-in highlights (search, lineage, execution state, selection) sit
+// at zIndex 0.
+const VIEWPORT_LAYER_Z = 100;
 
 // Variables for fade behaviour.  When the user interacts with the graph
 // (mouse move, zoom, drag), lastActivityTime is updated.  If no activity
-// occurs for FADE_DELAY milliseconds the minimap will fade out.
+// occurs for settings.fadeDelay milliseconds the minimap will fade out.
 let lastActivityTime = Date.now();
-const FADE_DELAY = 3000; // milliseconds
 
-// Cache for image previews so we don't reload the same image repeatedly.
+// User-configurable settings.  Each entry is registered with ComfyUI's
+// settings panel so values persist per user; `key` names the property on
+// the module-level `settings` object that the rest of the code reads.  The
+// ids are dot-separated so the settings dialog groups them into a
+// "Minimap" category with one section per id segment.
+const SETTING_DEFINITIONS = [
+    { key: "width", id: "Minimap.Size.Width", name: "Width (px)", type: "number", defaultValue: 300, attrs: { min: 120, max: 1600, step: 10 } },
+    { key: "height", id: "Minimap.Size.Height", name: "Height (px)", type: "number", defaultValue: 182, attrs: { min: 80, max: 1200, step: 10 } },
+    {
+        key: "corner", id: "Minimap.Position.Corner", name: "Corner", type: "combo", defaultValue: "bottom-right",
+        options: ["bottom-right", "bottom-left", "top-right", "top-left", "floating"],
+        tooltip: "Dragging the minimap by its handle snaps it to a corner, or leaves it floating where it was dropped.",
+    },
+    { key: "margin", id: "Minimap.Position.Margin", name: "Distance from the window edge (px)", type: "number", defaultValue: 10, attrs: { min: 0, max: 400, step: 1 } },
+    // Where a floating minimap was last dropped.  Written by the drag
+    // handle rather than edited by hand, hence hidden from the dialog.
+    { key: "floatX", id: "Minimap.Position.FloatX", name: "Floating x position", type: "hidden", defaultValue: 100 },
+    { key: "floatY", id: "Minimap.Position.FloatY", name: "Floating y position", type: "hidden", defaultValue: 100 },
+    {
+        key: "followViewport", id: "Minimap.Follow.Enabled", name: "Follow the viewport", type: "boolean", defaultValue: false,
+        tooltip: "Show the area around the main canvas's view instead of the whole workflow, scrolling along as you pan.",
+    },
+    {
+        key: "followArea", id: "Minimap.Follow.Area", name: "Area shown when following (in viewports)", type: "number", defaultValue: 9, attrs: { min: 2, max: 400, step: 1 },
+        tooltip: "How much of the workflow the minimap shows while following, as a multiple of the area of the main canvas's view.",
+    },
+    { key: "opacity", id: "Minimap.Appearance.Opacity", name: "Opacity", type: "slider", defaultValue: 1, attrs: { min: 0.1, max: 1, step: 0.05 } },
+    { key: "fadeEnabled", id: "Minimap.Fade.Enabled", name: "Fade out when inactive", type: "boolean", defaultValue: true },
+    {
+        key: "fadeDelay", id: "Minimap.Fade.Delay", name: "Fade delay (ms)", type: "number", defaultValue: 3000, attrs: { min: 500, max: 60000, step: 500 },
+        tooltip: "How long the graph must be idle before the minimap fades out.  Ignored when fading is disabled.",
+    },
+    {
+        key: "refreshInterval", id: "Minimap.Performance.RefreshInterval", name: "Refresh interval (ms)", type: "number", defaultValue: 250, attrs: { min: 50, max: 5000, step: 50 },
+        tooltip: "How often the graph is checked for changes.  The minimap is only redrawn when something changed; higher values use less CPU on large workflows.",
+    },
+    { key: "errorColor", id: "Minimap.Colors.Error", name: "Error node colour", type: "text", defaultValue: "rgba(255, 0, 0, 0.7)" },
+    { key: "bypassColor", id: "Minimap.Colors.Bypass", name: "Bypassed node colour", type: "text", defaultValue: "rgba(168, 85, 247, 0.3)" },
+    { key: "executingColor", id: "Minimap.Colors.Executing", name: "Executing node outline and progress", type: "text", defaultValue: "green" },
+    { key: "finishedColor", id: "Minimap.Colors.Finished", name: "Finished node tint", type: "text", defaultValue: "rgba(34, 197, 94, 0.25)" },
+    { key: "cachedColor", id: "Minimap.Colors.Cached", name: "Cached node dimming", type: "text", defaultValue: "rgba(0, 0, 0, 0.45)" },
+    { key: "viewportColor", id: "Minimap.Colors.Viewport", name: "Viewport rectangle", type: "text", defaultValue: "rgba(168, 219, 235, 0.5)" },
+    { key: "searchColor", id: "Minimap.Colors.Search", name: "Search match outline", type: "text", defaultValue: "#facc15" },
+    { key: "selectionColor", id: "Minimap.Colors.Selection", name: "Selected node outline", type: "text", defaultValue: "#ffffff" },
+    { key: "upstreamColor", id: "Minimap.Colors.Upstream", name: "Lineage: upstream (inputs)", type: "text", defaultValue: "#38bdf8" },
+    { key: "downstreamColor", id: "Minimap.Colors.Downstream", name: "Lineage: downstream (outputs)", type: "text", defaultValue: "#fb923c" },
+    { key: "bookmarkColor", id: "Minimap.Colors.Bookmark", name: "Bookmark outline and label", type: "text", defaultValue: "#c084fc" },
+    { key: "lintMissingColor", id: "Minimap.Colors.LintMissing", name: "Lint: missing node type", type: "text", defaultValue: "#f43f5e" },
+    { key: "lintUnconnectedColor", id: "Minimap.Colors.LintUnconnected", name: "Lint: unconnected required input", type: "text", defaultValue: "#f59e0b" },
+    { key: "lintDeadColor", id: "Minimap.Colors.LintDead", name: "Lint: dead branch or orphan node", type: "text", defaultValue: "#94a3b8" },
+    { key: "lintBrokenLinkColor", id: "Minimap.Colors.LintBrokenLink", name: "Lint: broken link", type: "text", defaultValue: "#e879f9" },
+    { key: "changeAddedColor", id: "Minimap.Colors.ChangeAdded", name: "Changes: added node", type: "text", defaultValue: "#4ade80" },
+    { key: "changeRemovedColor", id: "Minimap.Colors.ChangeRemoved", name: "Changes: removed node", type: "text", defaultValue: "#f87171" },
+    { key: "changeRewiredColor", id: "Minimap.Colors.ChangeRewired", name: "Changes: rewired node", type: "text", defaultValue: "#2dd4bf" },
+    { key: "changeValueColor", id: "Minimap.Colors.ChangeValue", name: "Changes: widget values or mode changed", type: "text", defaultValue: "#fbbf24" },
+    { key: "showPreviews", id: "Minimap.Display.Previews", name: "Show image previews", type: "boolean", defaultValue: true },
+    { key: "showLinks", id: "Minimap.Display.Links", name: "Show links", type: "boolean", defaultValue: true },
+    { key: "showDots", id: "Minimap.Display.Dots", name: "Show connection dots", type: "boolean", defaultValue: true },
+    { key: "showGroupTitles", id: "Minimap.Display.GroupTitles", name: "Show group titles", type: "boolean", defaultValue: true },
+    {
+        key: "collapseGroups", id: "Minimap.Display.CollapseGroups", name: "Show groups as single blocks", type: "boolean", defaultValue: false,
+        tooltip: "Draw each group as one labelled block with its node count and the combined error, bypass and executing state of its nodes.",
+    },
+    {
+        key: "showLineage", id: "Minimap.Display.Lineage", name: "Highlight lineage of selected nodes", type: "boolean", defaultValue: true,
+        tooltip: "Emphasise everything that feeds into and everything fed by the selected nodes, and dim the rest.",
+    },
+    {
+        key: "showLint", id: "Minimap.Display.Lint", name: "Show workflow lint", type: "boolean", defaultValue: false,
+        tooltip: "Mark nodes of missing types, required inputs left unconnected, nodes that don't lead to an output and links to nodes that no longer exist.",
+    },
+    { key: "showLegend", id: "Minimap.Display.Legend", name: "Show the display mode's legend", type: "boolean", defaultValue: true },
+    {
+        key: "showChanges", id: "Minimap.Display.Changes", name: "Highlight changes since the last queued run", type: "boolean", defaultValue: true,
+        tooltip: "Outline nodes that were added, rewired or had widget values or mode changed since a prompt was last queued, and show removed nodes as ghosts.",
+    },
+    {
+        key: "displayMode", id: "Minimap.Display.Mode", name: "Display mode", type: "combo", defaultValue: "normal",
+        options: ["normal", "heatmap", "category", "package", "output type"],
+        tooltip: "\"heatmap\" colours each node by how long it took to execute; \"category\", \"package\" and \"output type\" colour it by its node category, the custom node pack it comes from or the type of its main output.",
+    },
+    {
+        key: "heatmapMetric", id: "Minimap.Heatmap.Metric", name: "Heatmap shows", type: "combo", defaultValue: "last run",
+        options: ["last run", "average of recent runs"],
+    },
+    { key: "heatmapHistory", id: "Minimap.Heatmap.History", name: "Number of recent runs to average", type: "number", defaultValue: 5, attrs: { min: 1, max: 50, step: 1 } },
+];
+
+// Current setting values, seeded with the defaults so the minimap works
+// even when the settings API is unavailable.
+const settings = Object.fromEntries(SETTING_DEFINITIONS.map(def => [def.key, def.defaultValue]));
+
+// Limits applied when the minimap is resized with its handle, and how
+// close (in pixels) a dragged minimap must be dropped to a window corner
+// for it to snap there.
+const MIN_MINIMAP_WIDTH = 120;
+const MIN_MINIMAP_HEIGHT = 80;
+const SNAP_DISTANCE = 48;
+
+// The minimap DOM elements and change-detection timer.  These are created once by
+// initializeMinimap() and updated in place when a setting changes.
+let minimapDiv = null;
+let minimapCanvas = null;
+let renderTimer = null;
+let tooltipDiv = null;
+
+// The graph shown in the main canvas when the minimap last checked, and
+// the chain of graphs from the workflow root down to it (for the
+// subgraph breadcrumb).  See handleGraphSwitch().
+let activeGraph = null;
+let graphPath = [];
+
+// Undo functions for everything initializeMinimap() hooks up outside the
+// minimap's own elements (document and window listeners, API events,
+// timers), run by disposeMinimap().
+const disposers = [];
+
+// The api.queuePrompt that watchPromptValidation() wrapped, put back by
+// disposeMinimap().
+let originalQueuePrompt = null;
+
+// In edit mode, dragging a node box or group on the minimap moves it in
+// the graph instead of panning.  Toggled from the toolbar.
+let editMode = false;
+
+// Whether the minimap fades out when idle ("auto"), was pinned so it stays
+// visible ("pinned") or hidden ("hidden") with the global shortcut.  See
+// setVisibilityMode().
+let visibilityMode = "auto";
+
+// The part of the graph shown while following the viewport: the graph
+// point at the centre of the minimap and the scale, eased towards the
+// main canvas's view every frame by updateFollowView().  Null when not
+// following, or to jump straight to the view on the next frame.
+let followView = null;
+
+// Fraction of the remaining distance to the main canvas's view that the
+// follow view covers per frame.
+const FOLLOW_EASING = 0.25;
+
+// Layered rendering state.  The static layer is an offscreen canvas holding
+// the graph drawing; it is rebuilt only when staticLayerDirty is set.  The
+// signature and overlay key are used to detect when a redraw is needed.
+let staticLayer = null;
+let staticLayerDirty = true;
+let lastGraphSignature = null;
+let lastOverlayKey = null;
+let frameRequested = false;
+
+// Cache of downscaled preview thumbnails, keyed by image URL.  Entries are
+// small canvases rather than full-resolution images, and the cache is
+// bounded by PREVIEW_CACHE_MAX_BYTES: a Map iterates in insertion order,
+// so re-inserting an entry on use and evicting from the front makes it a
+// least-recently-used cache.  URLs that failed to load are cached with a
+// null thumbnail so they aren't requested again on every redraw; new
+// output images come with new URLs.  previewLoading holds the loads in
+// progress (see loadPreviewThumbnail()).
+const PREVIEW_THUMBNAIL_SIZE = 128;
+const PREVIEW_CACHE_MAX_BYTES = 8 * 1024 * 1024;
 const previewCache = new Map();
+const previewLoading = new Map();
+let previewCacheBytes = 0;
+
+// Output images of each node from the last "executed" event, as /view
+// URLs.  Covers nodes whose images the front-end hasn't loaded yet.
+const nodeOutputImages = new Map();
 
 /**
- * Determine whether a node should be considered in an error state.
- * ComfyUI marks invalid nodes via a variety of flags; this helper
- * attempts to cover the most common ones.  If none are present, the node
- * is treated as non‑error.
+ * Determine whether a node should be considered in an error state.  The
+ * answer comes from the errors ComfyUI actually reported (see
+ * nodeErrors) rather than from guessing based on flags or colours, so
+ * nodes that are deliberately coloured red are not flagged.
  *
  * @param {Object} node - The node to check.
  * @returns {boolean} true if the node is in an error state.
  */
 function isNodeError(node) {
-    try {
-        if (node == null) return false;
-        // ComfyUI sets these flags when a node fails to execute.  Some
-        // versions use has_error, others use has_errors (plural).  Check both.
-        if (node.error === true || node.has_error === true || node.has_errors === true) return true;
-        // Some versions expose an invalid flag directly on the node
-        if (node.invalid === true || node.is_invalid === true || node.isInvalid === true) return true;
-        // Some nodes contain a flags object with error information
-        if (node.flags && (node.flags.error || node.flags.invalid)) return true;
-        // widgets_invalid is an array of widgets that failed validation
-        if (Array.isArray(node.widgets_invalid) && node.widgets_invalid.length > 0) return true;
-        // If the node colour explicitly references red / error
-        const c = String(node.color || "").toLowerCase();
-        if (c.includes("error") || c.includes("ff0000") || c.includes("dc2626") || c.includes("e13")) return true;
-    } catch (err) {
-        // fallthrough
-    }
-    return false;
+    if (node == null || !isRootGraphShown()) return false;
+    return nodeErrors.entries.has(String(node.id));
 }
 
 /**
@@ -126,62 +398,135 @@ function isNodeBypassed(node) {
 }
 
 /**
- * Attempt to obtain a preview image source from a node.  For image preview
- * nodes (such as Preview Image and Load Image), ComfyUI inserts an <img>
- * element into the node's DOM.  We first try to locate such an element.
- * Failing that, we inspect widget values for base64 image data.  If
- * successful, returns a data URI or URL that can be drawn onto a canvas.
+ * Collect the preview image URLs of a node.  Output nodes such as Preview
+ * Image and Save Image, and Load Image, keep their loaded images in
+ * `node.imgs`; the URLs from the node's last "executed" event and from
+ * `node.images` cover images that haven't been loaded yet.  As a last
+ * resort, widget values holding inline image data are used.
  *
- * @param {Object} node - The node whose preview to retrieve.
- * @returns {string|null} A data URI/URL for the image, or null if none found.
+ * @param {Object} node - The node whose previews to retrieve.
+ * @returns {string[]} Image URLs or data URIs, possibly empty.
  */
-function getNodePreviewImage(node) {
+function getNodePreviewSources(node) {
     try {
-        // Attempt to find an <img> element associated with this node.  The
-        // ComfyUI UI wraps each node in a container with id `node-${id}`.
-        const idStr = node?.id != null ? String(node.id) : "";
-        const container = document.getElementById(`node-${idStr}`);
-        if (container) {
-            // Prefer <img> elements for previews
-            const imgEl = container.querySelector("img");
-            if (imgEl && imgEl.src) {
-                return imgEl.src;
-            }
-            // Some previews may be rendered on a canvas element.  Convert
-            // the canvas to a data URI if possible.
-            const canvasEl = container.querySelector("canvas");
-            if (canvasEl) {
-                try {
-                    const dataUri = canvasEl.toDataURL && canvasEl.toDataURL();
-                    if (dataUri && dataUri.startsWith("data:image")) return dataUri;
-                } catch (_) {
-                    // ignore any errors
-                }
-            }
+        if (Array.isArray(node.imgs) && node.imgs.length > 0) {
+            const sources = node.imgs.map(img => img?.src).filter(Boolean);
+            if (sources.length > 0) return sources;
+        }
+        const outputs = nodeOutputImages.get(String(node.id));
+        if (outputs && outputs.length > 0) return outputs;
+        if (Array.isArray(node.images) && node.images.length > 0) {
+            return node.images.map(getImageViewUrl).filter(Boolean);
         }
         // Fall back to inspecting widgets for base64-encoded images.  Some
         // nodes store preview data in widget values.
         if (node.widgets) {
             for (const w of node.widgets) {
                 if (typeof w?.value === "string" && w.value.startsWith("data:image")) {
-                    return w.value;
+                    return [w.value];
                 }
                 if (w?.value && typeof w.value.data === "string" && w.value.data.startsWith("data:image")) {
-                    return w.value.data;
+                    return [w.value.data];
                 }
             }
         }
     } catch (err) {
         // ignore any errors and fall through
     }
+    return [];
+}
+
+// Build the /view URL for an output image entry ({ filename, subfolder,
+// type }) as found in "executed" events.
+function getImageViewUrl(image) {
+    if (!image?.filename) return null;
+    const params = new URLSearchParams({
+        filename: image.filename,
+        subfolder: image.subfolder || "",
+        type: image.type || "output",
+    });
+    return api.apiURL(`/view?${params}`);
+}
+
+// Return the cached thumbnail for an image URL, starting a load if it is
+// not cached yet.  Returns null until the thumbnail is ready, and for
+// images that failed to load; the minimap is redrawn once a load ends.
+// Full-resolution images are only kept while the
+// thumbnail is being made.
+function getPreviewThumbnail(src) {
+    const cached = previewCache.get(src);
+    if (cached) {
+        // Move to the back of the eviction order
+        previewCache.delete(src);
+        previewCache.set(src, cached);
+        return cached.thumbnail;
+    }
+    loadPreviewThumbnail(src);
     return null;
 }
 
+// Load an image URL into the thumbnail cache and redraw the minimap.
+// Resolves with the thumbnail, or null if the image could not be loaded;
+// a load already in progress is shared.
+function loadPreviewThumbnail(src) {
+    const cached = previewCache.get(src);
+    if (cached) return Promise.resolve(cached.thumbnail);
+    let loading = previewLoading.get(src);
+    if (loading) return loading;
+    loading = new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+            previewLoading.delete(src);
+            const thumbnail = storePreviewThumbnail(src, img);
+            if (!thumbnail) previewCache.set(src, { thumbnail: null, bytes: 0 });
+            invalidateMiniMap();
+            resolve(thumbnail);
+        };
+        img.onerror = () => {
+            previewLoading.delete(src);
+            previewCache.set(src, { thumbnail: null, bytes: 0 });
+            resolve(null);
+        };
+        img.src = src;
+    });
+    previewLoading.set(src, loading);
+    return loading;
+}
+
+// Downscale a loaded image to at most PREVIEW_THUMBNAIL_SIZE on its long
+// side and add it to the cache, evicting least recently used thumbnails
+// until the cache fits in PREVIEW_CACHE_MAX_BYTES again.  Returns the
+// thumbnail, or null if the image could not be drawn.
+function storePreviewThumbnail(src, img) {
+    const naturalWidth = img.naturalWidth || img.width;
+    const naturalHeight = img.naturalHeight || img.height;
+    if (!naturalWidth || !naturalHeight) return null;
+    const ratio = Math.min(1, PREVIEW_THUMBNAIL_SIZE / Math.max(naturalWidth, naturalHeight));
+    const thumbnail = document.createElement("canvas");
+    thumbnail.width = Math.max(1, Math.round(naturalWidth * ratio));
+    thumbnail.height = Math.max(1, Math.round(naturalHeight * ratio));
+    try {
+        thumbnail.getContext("2d").drawImage(img, 0, 0, thumbnail.width, thumbnail.height);
+    } catch (err) {
+        return null;
+    }
+    const bytes = thumbnail.width * thumbnail.height * 4;
+    previewCache.set(src, { thumbnail, bytes });
+    previewCacheBytes += bytes;
+    for (const [key, entry] of previewCache) {
+        if (previewCacheBytes <= PREVIEW_CACHE_MAX_BYTES) break;
+        previewCache.delete(key);
+        previewCacheBytes -= entry.bytes;
+    }
+    return thumbnail;
+}
+
 /**
- * Draw a tiny preview image inside a node rectangle on the minimap.  This
- * function caches images and scales them to fit within the node bounds
- * while preserving aspect ratio.  If the image is not yet loaded, it
- * registers an onload callback to trigger a re-render once loaded.
+ * Draw tiny previews inside a node rectangle on the minimap.  A single
+ * image, or the image selected in the node's gallery, is scaled to fit the
+ * node bounds while preserving aspect ratio; a batch without a selection
+ * is shown as a grid of up to four thumbnails.  Thumbnails that are still
+ * loading are skipped and appear on a later redraw.
  *
  * @param {CanvasRenderingContext2D} ctx - The minimap canvas context.
  * @param {Object} node - The node being drawn.
@@ -191,32 +536,40 @@ function getNodePreviewImage(node) {
  * @param {number} h - The height of the node on the minimap.
  */
 function drawNodePreview(ctx, node, x, y, w, h) {
-    const src = getNodePreviewImage(node);
+    let sources = getNodePreviewSources(node);
     // If no preview image is available just return.  We intentionally do not
     // draw a white square placeholder to avoid cluttering the minimap with
     // empty image boxes.
-    if (!src) {
+    if (sources.length === 0) {
         return;
     }
-    let img = previewCache.get(src);
-    if (!img) {
-        img = new Image();
-        img.src = src;
-        previewCache.set(src, img);
-        img.onload = () => {
-            // Once loaded, schedule a re-render of the minimap
-            if (window.app && window.app.graph && ctx.canvas) {
-                renderMiniMap(window.app.graph, ctx.canvas);
-            }
-        };
+    const selected = node.imageIndex;
+    if (Number.isInteger(selected) && selected >= 0 && selected < sources.length) {
+        sources = [sources[selected]];
     }
-    // Only draw if the image is loaded
-    if (!img.complete || img.naturalWidth === 0) return;
-    // Compute aspect ratio and fit within node bounds
+    const count = Math.min(sources.length, 4);
+    const columns = count > 1 ? 2 : 1;
+    const rows = Math.ceil(count / columns);
+    const gap = count > 1 ? 1 : 0;
+    const cellW = (w - gap * (columns - 1)) / columns;
+    const cellH = (h - gap * (rows - 1)) / rows;
+    for (let i = 0; i < count; i++) {
+        const thumbnail = getPreviewThumbnail(sources[i]);
+        if (!thumbnail) continue;
+        const cellX = x + (i % columns) * (cellW + gap);
+        const cellY = y + Math.floor(i / columns) * (cellH + gap);
+        drawImageFitted(ctx, thumbnail, cellX, cellY, cellW, cellH);
+    }
+}
+
+// Draw an image scaled to fit inside a rectangle, preserving its aspect
+// ratio and centring it.
+function drawImageFitted(ctx, img, x, y, w, h) {
+    // Compute aspect ratio and fit within the bounds
     const aspect = img.width / img.height;
     let drawW = w;
     let drawH = h;
-    if (drawH <= 0 || drawW <= 0) return;
+    if (drawH <= 0 || drawW <= 0 || !aspect) return;
     if (drawW / drawH > aspect) {
         // Canvas is wider relative to image
         drawW = drawH * aspect;
@@ -234,36 +587,287 @@ function drawNodePreview(ctx, node, x, y, w, h) {
 }
 
 // Create and insert the minimap container and canvas.  The minimap is
-// positioned fixed in the bottom‑right corner and uses a CSS transition
-// on its opacity so that it can fade in and out smoothly.  We deliberately
-// omit any extra height padding so that the full minimap area is used.
+// positioned fixed in the configured corner (or floating) and uses a CSS
+// transition on its opacity so that it can fade in and out smoothly.  A
+// drag handle along the top edge moves the minimap and a grip in the
+// corner facing away from the docked corner resizes it.
 function createMiniMapCanvas(settings) {
     const minimapDiv = document.createElement("div");
     minimapDiv.id = "minimap";
     minimapDiv.style.position = "fixed";
-    // Move slightly left to avoid overlap with ComfyUI scrollbars
-    minimapDiv.style.right = (settings.margin + 50) + "px";
-    minimapDiv.style.bottom = settings.margin + "px";
-    minimapDiv.style.width = settings.width + "px";
-    minimapDiv.style.height = settings.height + "px"; // use full height, no padding
     minimapDiv.style.border = "1px solid var(--border-color)";
     minimapDiv.style.backgroundColor = "var(--bg-color)";
     minimapDiv.style.zIndex = 1000;
     minimapDiv.style.opacity = settings.opacity;
     minimapDiv.style.transition = "opacity 0.5s ease";
-    minimapDiv.style.overflow = "hidden";
     minimapDiv.style.borderRadius = "6px";  // Slightly rounded corners
 
     document.body.appendChild(minimapDiv);
 
+    // The canvas clips itself to the rounded corners so the container can
+    // leave overflow visible for the panels attached to it.  Touch gestures
+    // on it are handled by the minimap rather than scrolling the page.
     const minimapCanvas = document.createElement("canvas");
-    minimapCanvas.width = settings.width;
-    minimapCanvas.height = settings.height;
+    minimapCanvas.style.display = "block";
+    minimapCanvas.style.borderRadius = "inherit";
+    minimapCanvas.style.touchAction = "none";
     minimapDiv.appendChild(minimapCanvas);
 
+    // Panels (such as the error list) are stacked in a column attached to
+    // the edge of the minimap facing the middle of the window; see
+    // layoutMiniMap().  Being children of the container they move and fade
+    // together with the minimap.
+    const panelStack = document.createElement("div");
+    Object.assign(panelStack.style, {
+        position: "absolute",
+        left: "0",
+        width: "100%",
+        display: "flex",
+        gap: "4px",
+    });
+    minimapDiv.appendChild(panelStack);
+    minimapDiv.panelStack = panelStack;
+
+    // A short pill centred on the top edge acts as the move handle.  It is
+    // kept small so the rest of the canvas remains available for panning.
+    const dragHandle = document.createElement("div");
+    dragHandle.title = "Drag to move the minimap";
+    Object.assign(dragHandle.style, {
+        position: "absolute",
+        top: "2px",
+        left: "50%",
+        width: "40px",
+        height: "6px",
+        marginLeft: "-20px",
+        borderRadius: "3px",
+        backgroundColor: "var(--border-color)",
+        opacity: "0.7",
+        cursor: "move",
+        touchAction: "none",
+    });
+    minimapDiv.appendChild(dragHandle);
+    minimapDiv.dragHandle = dragHandle;
+
+    const resizeHandle = document.createElement("div");
+    resizeHandle.title = "Drag to resize the minimap";
+    Object.assign(resizeHandle.style, {
+        position: "absolute",
+        width: "12px",
+        height: "12px",
+        opacity: "0.7",
+        touchAction: "none",
+    });
+    minimapDiv.appendChild(resizeHandle);
+    minimapDiv.resizeHandle = resizeHandle;
+
+    // Search field in the top-left corner, inset far enough to leave room
+    // for the resize grip when the minimap is docked bottom-right.  The
+    // count shows the position of the current match in the results.
+    const searchBox = document.createElement("div");
+    Object.assign(searchBox.style, {
+        position: "absolute",
+        top: "4px",
+        left: "16px",
+        width: "calc(50% - 40px)",
+        maxWidth: "160px",
+        display: "flex",
+        alignItems: "center",
+        gap: "3px",
+        opacity: "0.85",
+    });
+    const searchInput = document.createElement("input");
+    searchInput.type = "search";
+    searchInput.placeholder = "Search nodes…";
+    searchInput.title = "Enter / Shift+Enter: next / previous match, Esc: clear";
+    Object.assign(searchInput.style, {
+        flex: "1",
+        minWidth: "0",
+        height: "16px",
+        padding: "0 4px",
+        font: "10px sans-serif",
+        color: "var(--input-text)",
+        backgroundColor: "var(--comfy-input-bg)",
+        border: "1px solid var(--border-color)",
+        borderRadius: "3px",
+    });
+    const searchCount = document.createElement("span");
+    Object.assign(searchCount.style, {
+        font: "10px sans-serif",
+        color: "var(--fg-color)",
+        whiteSpace: "nowrap",
+    });
+    searchBox.append(searchInput, searchCount);
+    minimapDiv.appendChild(searchBox);
+    minimapDiv.searchInput = searchInput;
+    minimapDiv.searchCount = searchCount;
+
+    // Toolbar of small toggle buttons in the top-right corner, inset like
+    // the search field to leave room for the resize grip.  Buttons are
+    // added by addToolbarButton().
+    const toolbar = document.createElement("div");
+    Object.assign(toolbar.style, {
+        position: "absolute",
+        top: "4px",
+        right: "16px",
+        display: "flex",
+        gap: "2px",
+    });
+    minimapDiv.appendChild(toolbar);
+    minimapDiv.toolbar = toolbar;
+
+    layoutMiniMap(minimapDiv, minimapCanvas, settings);
+
     return { minimapDiv, minimapCanvas };
 }
 
+// Size the minimap container and canvas and place the container in the
+// configured corner, or at its saved position when floating.  The canvas
+// backing store is scaled by devicePixelRatio so the minimap stays crisp
+// on high-DPI screens; renderMiniMap() draws in CSS pixels using the
+// displayWidth/displayHeight recorded here.  Called on creation, whenever
+// a size or position setting changes and when the window is resized.
+function layoutMiniMap(minimapDiv, minimapCanvas, settings) {
+    const width = clamp(settings.width, MIN_MINIMAP_WIDTH, Math.max(MIN_MINIMAP_WIDTH, window.innerWidth - 2 * settings.margin));
+    const height = clamp(settings.height, MIN_MINIMAP_HEIGHT, Math.max(MIN_MINIMAP_HEIGHT, window.innerHeight - 2 * settings.margin));
+    const pixelRatio = window.devicePixelRatio || 1;
+    minimapDiv.style.width = width + "px";
+    minimapDiv.style.height = height + "px"; // use full height, no padding
+    minimapCanvas.style.width = width + "px";
+    minimapCanvas.style.height = height + "px";
+    minimapCanvas.width = Math.round(width * pixelRatio);
+    minimapCanvas.height = Math.round(height * pixelRatio);
+    minimapCanvas.displayWidth = width;
+    minimapCanvas.displayHeight = height;
+
+    minimapDiv.style.top = minimapDiv.style.bottom = "";
+    minimapDiv.style.left = minimapDiv.style.right = "";
+    let resizeCorner;
+    if (settings.corner === "floating") {
+        // Keep a floating minimap fully on screen if the window shrank
+        const left = clamp(settings.floatX, 0, Math.max(0, window.innerWidth - width));
+        const top = clamp(settings.floatY, 0, Math.max(0, window.innerHeight - height));
+        minimapDiv.style.left = left + "px";
+        minimapDiv.style.top = top + "px";
+        resizeCorner = ["bottom", "right"];
+    } else {
+        const [vertical, horizontal] = settings.corner.split("-");
+        minimapDiv.style[vertical] = settings.margin + "px";
+        minimapDiv.style[horizontal] = settings.margin + "px";
+        // The resize grip sits in the corner diagonally opposite the dock
+        // so that dragging it grows the minimap into the free space.
+        resizeCorner = [vertical === "top" ? "bottom" : "top", horizontal === "left" ? "right" : "left"];
+    }
+
+    // Attach the panels above a minimap in the lower half of the window and
+    // below one in the upper half, so they extend towards the middle
+    const panelStack = minimapDiv.panelStack;
+    if (panelStack) {
+        const top = settings.corner === "floating"
+            ? settings.floatY + height / 2 < window.innerHeight / 2
+            : settings.corner.startsWith("top");
+        panelStack.style.top = top ? "calc(100% + 4px)" : "";
+        panelStack.style.bottom = top ? "" : "calc(100% + 4px)";
+        panelStack.style.flexDirection = top ? "column" : "column-reverse";
+    }
+
+    const resizeHandle = minimapDiv.resizeHandle;
+    if (resizeHandle) {
+        const [vertical, horizontal] = resizeCorner;
+        resizeHandle.style.top = resizeHandle.style.bottom = "";
+        resizeHandle.style.left = resizeHandle.style.right = "";
+        resizeHandle.style[vertical] = "0px";
+        resizeHandle.style[horizontal] = "0px";
+        resizeHandle.style.cursor = (vertical === "top") === (horizontal === "left") ? "nwse-resize" : "nesw-resize";
+        // Draw the grip as a triangle filling the corner
+        const stops = `transparent 50%, var(--border-color) 50%`;
+        resizeHandle.style.background = `linear-gradient(to ${vertical} ${horizontal}, ${stops})`;
+        resizeHandle.resizeCorner = resizeCorner;
+    }
+}
+
+// Restrict a value to the range [min, max].
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// Convert a raw value from the settings store into the type the minimap
+// expects.  Older front-ends hand back numbers as strings, and a missing
+// value falls back to the definition's default.
+function coerceSettingValue(def, value) {
+    if (value === undefined || value === null || value === "") return def.defaultValue;
+    switch (def.type) {
+        case "number":
+        case "slider": {
+            const num = Number(value);
+            return Number.isFinite(num) ? num : def.defaultValue;
+        }
+        case "boolean":
+            return value === true || value === "true";
+        case "combo":
+            return def.options.includes(value) ? value : def.defaultValue;
+        default:
+            return String(value);
+    }
+}
+
+// Register every entry of SETTING_DEFINITIONS with ComfyUI's settings
+// panel.  The onChange callback fires whenever the user edits a value, so
+// changes are applied live without reloading the page.
+function registerSettings() {
+    const store = app?.ui?.settings;
+    if (!store?.addSetting) return;
+    for (const def of SETTING_DEFINITIONS) {
+        const { key, ...options } = def;
+        store.addSetting({
+            ...options,
+            onChange: (value) => {
+                settings[key] = coerceSettingValue(def, value);
+                applySettings();
+            },
+        });
+        settings[key] = coerceSettingValue(def, store.getSettingValue(def.id, def.defaultValue));
+    }
+}
+
+// Push the current settings onto an existing minimap.  Does nothing until
+// initializeMinimap() has created the DOM elements.
+function applySettings() {
+    if (!minimapDiv || !minimapCanvas) return;
+    layoutMiniMap(minimapDiv, minimapCanvas, settings);
+    // Changing a setting counts as activity so the result is visible
+    minimapDiv.style.opacity = settings.opacity;
+    lastActivityTime = Date.now();
+    for (const { button, key } of minimapDiv.settingButtons ?? []) setToolbarButtonActive(button, !!settings[key]);
+    startRenderLoop();
+}
+
+// Persist a setting through ComfyUI's settings store so it survives a
+// reload.  The store's onChange callback then applies it to the minimap.
+// Without a settings store the value is only kept for this session.
+function saveSetting(key, value) {
+    const def = SETTING_DEFINITIONS.find(d => d.key === key);
+    const store = app?.ui?.settings;
+    if (def && store?.setSettingValue) {
+        store.setSettingValue(def.id, value);
+    } else {
+        settings[key] = value;
+        applySettings();
+    }
+}
+
+// (Re)start the change-detection timer using the configured refresh
+// interval and draw a fresh frame.  Polling is skipped while the minimap is
+// hidden; setupFadeBehaviour() re-checks as soon as it is shown again.
+function startRenderLoop() {
+    if (renderTimer) clearInterval(renderTimer);
+    const poll = () => {
+        if (isMiniMapVisible()) checkGraphChanged();
+    };
+    renderTimer = setInterval(poll, settings.refreshInterval);
+    checkGraphChanged();
+    invalidateMiniMap();
+}
+
 // Get a sensible default colour for a link based on its type.  If the link
 // specifies its own colour it will take precedence; otherwise ComfyUI's
 // default connection colour is used.  Fallbacks are provided for common
@@ -287,341 +891,4102 @@ function getLinkColor(link) {
 
 // Calculate the bounds of all nodes and groups in the graph.  These
 // coordinates are used to scale and translate the graph into the minimap.
+// They are kept by the spatial index and only recomputed when a node or
+// group has moved, been resized, added or removed.
 function getGraphBounds(graph) {
-    let minX = Infinity;
-    let minY = Infinity;
-    let maxX = -Infinity;
-    let maxY = -Infinity;
-
-    // Nodes
-    graph._nodes.forEach(node => {
-        if (node.pos[0] < minX) minX = node.pos[0];
-        if (node.pos[1] < minY) minY = node.pos[1];
-        if (node.pos[0] + node.size[0] > maxX) maxX = node.pos[0] + node.size[0];
-        if (node.pos[1] + node.size[1] > maxY) maxY = node.pos[1] + node.size[1];
-    });
+    return updateSpatialIndex(graph).bounds;
+}
 
-    // Groups
-    graph._groups.forEach(group => {
-        if (group.pos[0] < minX) minX = group.pos[0];
-        if (group.pos[1] < minY) minY = group.pos[1];
-        if (group.pos[0] + group.size[0] > maxX) maxX = group.pos[0] + group.size[0];
-        if (group.pos[1] + group.size[1] > maxY) maxY = group.pos[1] + group.size[1];
-    });
+// Spatial index over the nodes and groups of a graph: a uniform grid of
+// SPATIAL_CELL_SIZE graph units where each cell lists the items that
+// overlap it.  Hit testing on the minimap only has to look at the items
+// of one cell instead of every node.  One index is kept per graph so
+// subgraphs and the benchmark's synthetic graphs don't disturb each other.
+const SPATIAL_CELL_SIZE = 512;
+const spatialIndexes = new WeakMap();
 
-    return {
-        left: minX,
-        top: minY,
-        width: maxX - minX,
-        height: maxY - minY
+// Bring the graph's spatial index up to date and return it.  Items are
+// compared against the rectangle they were indexed with, so only those
+// that actually moved are re-bucketed; the bounds are recomputed only when
+// something changed.  Each entry also records the item's drawing order so
+// hit testing can pick the topmost one.
+function updateSpatialIndex(graph) {
+    let index = spatialIndexes.get(graph);
+    if (!index) {
+        index = { cells: new Map(), entries: new Map(), bounds: null, generation: 0 };
+        spatialIndexes.set(graph, index);
+    }
+    const generation = ++index.generation;
+    let changed = false;
+    const visit = (item, order, isGroup) => {
+        let entry = index.entries.get(item);
+        const collapsedWidth = !isGroup && item.flags?.collapsed ? item._collapsed_width : null;
+        if (entry && entry.posX === item.pos[0] && entry.posY === item.pos[1] && entry.sizeW === item.size[0] &&
+            entry.sizeH === item.size[1] && entry.collapsedWidth === collapsedWidth) {
+            entry.order = order;
+            entry.generation = generation;
+            return;
+        }
+        if (entry) removeFromCells(index, entry);
+        const rect = isGroup ? getGroupGraphRect(item) : getNodeGraphRect(item);
+        entry = {
+            item, isGroup, order, generation, rect, keys: [],
+            posX: item.pos[0], posY: item.pos[1], sizeW: item.size[0], sizeH: item.size[1], collapsedWidth,
+        };
+        index.entries.set(item, entry);
+        forEachCell(rect.x, rect.y, rect.x + rect.width, rect.y + rect.height, (key) => {
+            let cell = index.cells.get(key);
+            if (!cell) index.cells.set(key, cell = new Set());
+            cell.add(entry);
+            entry.keys.push(key);
+        });
+        changed = true;
     };
+    graph._nodes.forEach((node, order) => visit(node, order, false));
+    graph._groups.forEach((group, order) => visit(group, order, true));
+    for (const entry of index.entries.values()) {
+        if (entry.generation === generation) continue;
+        removeFromCells(index, entry);
+        index.entries.delete(entry.item);
+        changed = true;
+    }
+    if (changed || !index.bounds) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const { rect } of index.entries.values()) {
+            if (rect.x < minX) minX = rect.x;
+            if (rect.y < minY) minY = rect.y;
+            if (rect.x + rect.width > maxX) maxX = rect.x + rect.width;
+            if (rect.y + rect.height > maxY) maxY = rect.y + rect.height;
+        }
+        // An empty graph has no extent; map it around the origin
+        index.bounds = index.entries.size === 0 ? { left: 0, top: 0, width: 0, height: 0 } : {
+            left: minX,
+            top: minY,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    }
+    return index;
+}
+
+// Call fn with the key of every grid cell overlapping the rectangle.
+function forEachCell(x0, y0, x1, y1, fn) {
+    const cx0 = Math.floor(x0 / SPATIAL_CELL_SIZE);
+    const cy0 = Math.floor(y0 / SPATIAL_CELL_SIZE);
+    const cx1 = Math.floor(x1 / SPATIAL_CELL_SIZE);
+    const cy1 = Math.floor(y1 / SPATIAL_CELL_SIZE);
+    for (let cx = cx0; cx <= cx1; cx++) {
+        for (let cy = cy0; cy <= cy1; cy++) fn(`${cx},${cy}`);
+    }
+}
+
+// Take an entry out of all the cells it was filed under.
+function removeFromCells(index, entry) {
+    for (const key of entry.keys) {
+        const cell = index.cells.get(key);
+        cell?.delete(entry);
+        if (cell?.size === 0) index.cells.delete(key);
+    }
 }
 
-// Render the scaled representation of the graph onto the minimap canvas.
+// The index entries whose rectangle overlaps the given graph rectangle.
+function querySpatialIndex(index, x0, y0, x1, y1) {
+    const result = new Set();
+    forEachCell(x0, y0, x1, y1, (key) => {
+        for (const entry of index.cells.get(key) ?? []) {
+            const { rect } = entry;
+            if (rect.x <= x1 && rect.x + rect.width >= x0 && rect.y <= y1 && rect.y + rect.height >= y0) result.add(entry);
+        }
+    });
+    return result;
+}
+
+// Render the minimap.  The graph itself (groups, links, node boxes) is
+// cached in an offscreen layer that is only rebuilt when the graph has
+// changed (see checkGraphChanged()) or the canvas was resized.  Each call
+// copies that layer to the visible canvas and draws the live overlay
+// (executing node, viewport rectangle) on top.
 function renderMiniMap(graph, canvas) {
     const ctx = canvas.getContext("2d");
     if (!ctx) return;
 
-    // Determine the background colour of the main canvas so that the minimap
-    // visually matches the workflow area.  Fallback to transparent.
-    const mainCanvas = document.querySelector("canvas");
-    const bgColour = getComputedStyle(mainCanvas).backgroundColor || "transparent";
+    if (staticLayerDirty || !staticLayer ||
+        staticLayer.width !== canvas.width || staticLayer.height !== canvas.height) {
+        renderStaticLayer(graph, canvas);
+    }
 
-    // Clear and fill background
+    // Copy the cached layer 1:1 in device pixels, then switch to CSS pixels
+    // for the overlay (see layoutMiniMap()).
+    const width = canvas.displayWidth || canvas.width;
+    const pixelRatio = canvas.width / width;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = bgColour;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(staticLayer, 0, 0);
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    renderOverlay(ctx, canvas);
+}
+
+// Draw the scaled representation of the graph into the offscreen static
+// layer.  Also records the scale, bounds and on-minimap node rectangles on
+// the visible canvas for click/drag handling and the overlay.
+function renderStaticLayer(graph, canvas) {
+    if (!staticLayer) staticLayer = document.createElement("canvas");
+    const view = settings.followViewport ? followView : null;
+    if (drawStaticLayer(graph, canvas, staticLayer, view)) staticLayerDirty = false;
+}
+
+// Draw the graph into `layer`, sized to match `canvas`, showing the graph
+// area `view` (or the whole graph when null), and record where everything
+// ended up on `canvas`.  Returns false if the layer cannot be drawn on.
+// The benchmark passes its own canvas and layer.
+function drawStaticLayer(graph, canvas, layer, view) {
+    // Assigning the size also clears the layer
+    layer.width = canvas.width;
+    layer.height = canvas.height;
+    const ctx = layer.getContext("2d");
+    if (!ctx) return false;
+
+    // Work in CSS pixels; the backing store may be larger on high-DPI
+    // screens (see layoutMiniMap()).
+    const width = canvas.displayWidth || canvas.width;
+    const height = canvas.displayHeight || canvas.height;
+    const pixelRatio = canvas.width / width;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    const { scale, bounds, nodeRects, groupRects, modeContext } =
+        drawGraph(ctx, graph, width, height, { previews: settings.showPreviews, view });
+
+    // Expose scale, bounds and node positions on the canvas for click/drag
+    // handling and the overlay
+    canvas.scale = scale;
+    canvas.bounds = bounds;
+    canvas.nodeRects = nodeRects;
+    canvas.nodeRectsById = new Map(nodeRects.map(r => [String(r.node.id), r]));
+    canvas.groupRects = groupRects;
+    canvas.groupRectsByGroup = new Map(groupRects.map(r => [r.group, r]));
+    canvas.spatialIndex = updateSpatialIndex(graph);
+    canvas.displayModeContext = modeContext;
+    return true;
+}
+
+// Draw the graph scaled to fit a width x height area (in the context's
+// units) and return where everything ended up: the scale and bounds of the
+// mapping and the rectangles of the nodes and groups.  Shared by the
+// static layer and the PNG export; `options.previews` controls whether
+// image previews are drawn, and `options.view` ({ x, y, scale }) shows the
+// area around a graph point instead of the whole graph.
+function drawGraph(ctx, graph, width, height, options) {
+    // Fill with the background colour of the main canvas so that the
+    // minimap visually matches the workflow area.
+    const theme = getThemeColours();
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, height);
+    if (graph._nodes.length === 0 && graph._groups.length === 0) {
+        ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+        ctx.font = "11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText("Empty workflow", width / 2, height / 2);
+        ctx.textAlign = "left";
+    }
 
     // Compute scale factor so entire graph fits in the minimap; add a small
-    // padding (200px) to avoid clipping at the edges.
-    const bounds = getGraphBounds(graph);
-    const scaleX = canvas.width / (bounds.width + 200);
-    const scaleY = canvas.height / (bounds.height + 200);
-    const scale = Math.min(scaleX, scaleY);
-
-    // Draw links first so they appear underneath nodes
-    graph.links.forEach(link => {
-        const originNode = graph._nodes_by_id[link.origin_id];
-        const targetNode = graph._nodes_by_id[link.target_id];
-        if (!originNode || !targetNode) return;
-        ctx.strokeStyle = getLinkColor(link);
+    // padding (200px) to avoid clipping at the edges.  A view instead
+    // centres its point at its scale, and the bounds are the area shown.
+    let bounds = getGraphBounds(graph);
+    let scale = Math.min(width / (bounds.width + 200), height / (bounds.height + 200));
+    if (options.view) {
+        scale = options.view.scale;
+        bounds = {
+            left: options.view.x - width / 2 / scale,
+            top: options.view.y - height / 2 / scale,
+            width: width / scale,
+            height: height / scale,
+        };
+    }
+    // Whether a rectangle on the minimap is at least partly inside it
+    const isVisible = (x, y, w, h) => x + w >= 0 && y + h >= 0 && x <= width && y <= height;
+
+    // In the collapsed group view nodes inside a group are replaced by a
+    // single block, and links between two nodes of the same group vanish
+    // into it.  The hidden nodes take the block's rectangle, so search,
+    // selection and the other highlights point at the block.
+    const nodeGroups = settings.collapseGroups ? getNodeGroupMap(graph) : null;
+
+    // Draw links first so they appear underneath nodes.  Endpoints are
+    // remembered for drawing connection dots later.  Links shorter than
+    // LOD_MIN_SIZE pixels are skipped; at that size they only add noise.
+    const linkMode = getLinkRenderMode();
+    const linkEnds = [];
+    if (settings.showLinks && linkMode !== "hidden") forEachLink(graph, link => {
+        const originGroup = nodeGroups?.get(String(link.origin_id));
+        if (originGroup && originGroup === nodeGroups.get(String(link.target_id))) return;
+        const points = getLinkPoints(graph, link);
+        if (!points) return;
+        const minimapPoints = points.map(([px, py]) => [(px - bounds.left) * scale, (py - bounds.top) * scale]);
+        const [first, last] = [minimapPoints[0], minimapPoints[minimapPoints.length - 1]];
+        if (minimapPoints.length === 2 && Math.abs(last[0] - first[0]) < LOD_MIN_SIZE && Math.abs(last[1] - first[1]) < LOD_MIN_SIZE) return;
+        // Links entirely outside the area shown, with some room for the
+        // curve of a spline
+        const xs = minimapPoints.map(point => point[0]);
+        const ys = minimapPoints.map(point => point[1]);
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        if (!isVisible(left - 20, top - 20, Math.max(...xs) - left + 40, Math.max(...ys) - top + 40)) return;
+        const color = getLinkColor(link);
+        ctx.strokeStyle = color;
         ctx.lineWidth = 0.5;
-        // Compute positions along the edge of the origin and target nodes
-        const [ox, oy, tx, ty] = getLinkPosition(originNode, targetNode, bounds, link, scale);
         ctx.beginPath();
-        ctx.moveTo(ox, oy);
-        ctx.lineTo(tx, ty);
+        traceLinkPath(ctx, minimapPoints, linkMode, scale);
         ctx.stroke();
-        // Save positions for drawing connection dots later
-        link._originPos = { x: ox, y: oy };
-        link._targetPos = { x: tx, y: ty };
+        linkEnds.push({ points: minimapPoints, color });
     });
 
     // Draw groups (semi‑transparent)
+    const groupRects = [];
     ctx.globalAlpha = 0.35;
     graph._groups.forEach(group => {
         const x = (group.pos[0] - bounds.left) * scale;
         const y = (group.pos[1] - bounds.top) * scale;
         const width = group.size[0] * scale;
         const height = group.size[1] * scale;
+        groupRects.push({ group, x, y, w: width, h: height, labelH: 0 });
+        if (nodeGroups) return;
         ctx.fillStyle = group.color || "#ccc";
         ctx.fillRect(x, y, width, height);
     });
     ctx.globalAlpha = 1.0;
+    if (nodeGroups) {
+        const members = new Map(groupRects.map(r => [r.group, []]));
+        for (const node of graph._nodes) members.get(nodeGroups.get(String(node.id)))?.push(node);
+        for (const r of groupRects) drawGroupBlock(ctx, r, members.get(r.group));
+    }
 
-    // Draw nodes on top
+    // Draw nodes on top, remembering where each one ended up.  Nodes too
+    // small to see are not drawn individually but counted into a coarse
+    // density grid, drawn as shaded blocks so dense regions of a huge graph
+    // read as clusters rather than a smear.  The grid goes down first so
+    // the nodes that are drawn individually stay on top of it.  Nodes with
+    // an error or in bypass are always drawn, at least LOD_MIN_SIZE pixels
+    // across, so their state is never lost.
+    const nodeRects = [];
+    const drawnRects = [];
+    const densityColumns = Math.ceil(width / DENSITY_CELL_SIZE);
+    const density = new Uint16Array(densityColumns * Math.ceil(height / DENSITY_CELL_SIZE));
+    const mode = getActiveDisplayMode();
+    const modeContext = mode ? callExtension(mode.prepare, graph) : undefined;
+    const groupRectsByGroup = nodeGroups && new Map(groupRects.map(r => [r.group, r]));
     graph._nodes.forEach(node => {
-        // Determine base colour for node
-        let nodeColour = node.color || getComputedStyle(document.documentElement).getPropertyValue("--comfy-menu-bg").trim();
-        // If the node is collapsed adjust width/height accordingly
-        let width = node.size[0];
-        let height = node.size[1] + NODE_TITLE_HEIGHT;
-        if (node.flags?.collapsed) {
-            width = node._collapsed_width;
-            height = NODE_TITLE_HEIGHT;
-        }
-        // Compute scaled coordinates
-        const x = (node.pos[0] - bounds.left) * scale;
-        const y = (node.pos[1] - bounds.top - (node.isVirtualNode ? 0 : NODE_TITLE_HEIGHT)) * scale;
-        const w = width * scale;
-        const h = height * scale;
-
-        // Determine fill style based on state.  Errors take precedence over
-        // bypassed nodes, followed by normal colouring.  The alpha values
-        // provide a translucent overlay so that previews remain visible.
-        if (isNodeError(node)) {
-            ctx.fillStyle = "rgba(255, 0, 0, 0.7)"; // red for error
-        } else if (isNodeBypassed(node)) {
-            // Use a slightly more opaque purple so bypassed nodes are
-            // distinguishable even at small scales
-            ctx.fillStyle = "rgba(168, 85, 247, 0.3)"; // purple for bypass
-        } else {
-            ctx.fillStyle = nodeColour;
+        const block = groupRectsByGroup?.get(nodeGroups.get(String(node.id)));
+        if (block) {
+            nodeRects.push({ node, x: block.x, y: block.y, w: block.w, h: block.h, hidden: true });
+            return;
         }
+        // Compute scaled coordinates; collapsed nodes shrink to the title
+        const rect = getNodeGraphRect(node);
+        const r = {
+            node,
+            x: (rect.x - bounds.left) * scale,
+            y: (rect.y - bounds.top) * scale,
+            w: rect.width * scale,
+            h: rect.height * scale,
+        };
+        const small = r.w < LOD_MIN_SIZE && r.h < LOD_MIN_SIZE;
+        const aggregated = small && !isNodeError(node) && !isNodeBypassed(node);
+        if (small && !aggregated) {
+            r.w = Math.max(r.w, LOD_MIN_SIZE);
+            r.h = Math.max(r.h, LOD_MIN_SIZE);
+        }
+        nodeRects.push(r);
+        if (!isVisible(r.x, r.y, r.w, r.h)) return;
+        if (!aggregated) {
+            drawnRects.push(r);
+            return;
+        }
+        const column = clamp(Math.floor((r.x + r.w / 2) / DENSITY_CELL_SIZE), 0, densityColumns - 1);
+        const row = Math.max(Math.floor((r.y + r.h / 2) / DENSITY_CELL_SIZE), 0);
+        if (column + row * densityColumns < density.length) density[column + row * densityColumns]++;
+    });
+    drawDensityGrid(ctx, density, densityColumns);
+
+    for (const { node, x, y, w, h } of drawnRects) {
+        // Fill according to the node's state (see getNodeStyle()).  The
+        // alpha values provide a translucent overlay so that previews
+        // remain visible.
+        const style = getNodeStyle(node, mode, modeContext, theme);
+        ctx.fillStyle = style.fill;
         ctx.fillRect(x, y, w, h);
 
         // Draw preview image if available.  Only attempt to draw previews
         // when the node rectangle is sufficiently large; small nodes
-        // (collapsed or tiny) won't fit a preview.
-        if (w > 10 && h > 10) {
+        // (collapsed or tiny) won't fit a preview.  Display modes such as
+        // the heatmap can skip them so the colours stay readable.
+        if (options.previews && !mode?.hidePreviews && w > 10 && h > 10) {
             drawNodePreview(ctx, node, x, y, w, h);
         }
 
-        // Outline error nodes with a red border for better visibility.  Use a
-        // slightly thicker stroke so the border remains visible even when
-        // scaled down.  We don't scale line width by `scale` directly to
-        // avoid extremely thin or thick lines when zooming.
-        if (isNodeError(node)) {
-            ctx.strokeStyle = "red";
-            ctx.lineWidth = 3;
+        // Outline error nodes (and decorated ones) with a border for better
+        // visibility.  Use a slightly thicker stroke so the border remains
+        // visible even when scaled down.  We don't scale line width by
+        // `scale` directly to avoid extremely thin or thick lines when
+        // zooming.
+        if (style.outline) {
+            ctx.strokeStyle = style.outline;
+            ctx.lineWidth = style.outlineWidth;
             ctx.strokeRect(x, y, w, h);
         }
+    }
 
-        // Outline currently executing node in green.  This is drawn after
-        // the error border so that the green frame appears on top.
-        if (String(node.id) === String(currentExecutingNode)) {
-            ctx.strokeStyle = "green";
-            ctx.lineWidth = 1;
-            ctx.strokeRect(x, y, w, h);
-        }
-    });
+    // Group titles go on top of everything so they stay readable.  The
+    // label strip is remembered so clicking it fits the group.
+    if (settings.showGroupTitles && !nodeGroups) {
+        for (const r of groupRects) drawGroupLabel(ctx, r, [r.group.title || "Group"]);
+    }
 
-    // Draw connection dots on top of links when the scale is large enough
-    if (scale > 0.15) {
+    // Draw connection dots on top of links when the scale is large enough.
+    // Reroute points in the middle of a link get a dot as well.
+    if (settings.showDots && scale > 0.15) {
         const drawn = new Set();
-        graph.links.forEach(link => {
-            if (link._originPos && link._targetPos) {
-                const originKey = `${link._originPos.x},${link._originPos.y}`;
-                const targetKey = `${link._targetPos.x},${link._targetPos.y}`;
-                const dotColor = getLinkColor(link);
-                if (!drawn.has(originKey)) {
-                    drawDot(ctx, link._originPos.x, link._originPos.y, dotColor, scale);
-                    drawn.add(originKey);
-                }
-                if (!drawn.has(targetKey)) {
-                    drawDot(ctx, link._targetPos.x, link._targetPos.y, dotColor, scale);
-                    drawn.add(targetKey);
-                }
+        for (const { points, color } of linkEnds) {
+            for (const [px, py] of points) {
+                const key = `${px},${py}`;
+                if (drawn.has(key)) continue;
+                drawDot(ctx, px, py, color, scale);
+                drawn.add(key);
             }
-        });
+        }
     }
 
-    // Draw viewport rectangle to indicate current view
-    drawViewportRectangle(ctx, bounds, scale);
-    // Expose scale and bounds on the canvas for click/drag handling
-    canvas.scale = scale;
-    canvas.bounds = bounds;
+    return { scale, bounds, nodeRects, groupRects, modeContext };
 }
 
-// Compute a position for link endpoints along the node edges.  This logic
-// mirrors the calculation used by ComfyUI to position link lines.  Origin
-// links exit from the right of the node; target links enter from the left.
-function getLinkPosition(originNode, targetNode, bounds, link, scale) {
-    const xOffset = 10;
-    const topPadding = 15 * scale;
-    const linkPadding = 20 * scale;
-    function calcX(node, isOrigin) {
-        let w = node.size[0];
-        if (node.flags?.collapsed) w = node._collapsed_width;
-        const nodeX = node.pos[0] + (isOrigin ? w - xOffset : xOffset);
-        return (nodeX - bounds.left) * scale;
-    }
-    function calcY(node, slot) {
-        const baseY = (node.pos[1] - bounds.top) * scale;
-        if (node.flags?.collapsed) return baseY - NODE_TITLE_HEIGHT * 0.5 * scale;
-        if (node.isVirtualNode) return baseY + node.size[1] * 0.5 * scale;
-        return baseY + topPadding + slot * linkPadding;
-    }
-    const ox = calcX(originNode, true);
-    const tx = calcX(targetNode, false);
-    const oy = calcY(originNode, link.origin_slot);
-    const ty = calcY(targetNode, link.target_slot);
-    return [ox, oy, tx, ty];
+// Fill and outline of a node box.  Errors take precedence over bypassed
+// nodes, followed by node decorators registered through the public API
+// (highest priority first), then the display mode's colouring and
+// finally the node's own colour.
+function getNodeStyle(node, mode, modeContext, theme) {
+    if (isNodeError(node)) return { fill: settings.errorColor, outline: "red", outlineWidth: 3 };
+    if (isNodeBypassed(node)) return { fill: settings.bypassColor, outline: null };
+    let fill = null;
+    let outline = null;
+    let outlineWidth = 1;
+    for (const decorator of nodeDecorators) {
+        const result = callExtension(decorator.decorate, node);
+        if (!result) continue;
+        fill ??= result.fill ?? null;
+        if (!outline && result.outline) {
+            outline = result.outline;
+            outlineWidth = result.outlineWidth ?? 1;
+        }
+    }
+    if (!fill && mode) fill = callExtension(mode.nodeColour, node, modeContext);
+    return { fill: fill || node.color || theme.nodeBackground, outline, outlineWidth };
 }
 
-// Draw a small dot at the given coordinate on the minimap canvas.  The
-// radius scales with the overall graph scale so that dots remain visible.
-function drawDot(ctx, x, y, color, scale) {
-    ctx.beginPath();
-    ctx.arc(x, y, 3 * scale, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
+// Level of detail: items smaller than LOD_MIN_SIZE CSS pixels on the
+// minimap are culled (links) or aggregated into a density grid with cells
+// of DENSITY_CELL_SIZE pixels (nodes).  Below this size a node box is
+// little more than a dot and thousands of them blur together.
+const LOD_MIN_SIZE = 3;
+const DENSITY_CELL_SIZE = 6;
+const DENSITY_COLOUR = "rgb(170, 170, 170)";
+
+// Shade each cell of the density grid by the number of nodes aggregated
+// into it: a single node is faint, five or more are solid.
+function drawDensityGrid(ctx, density, columns) {
+    ctx.fillStyle = DENSITY_COLOUR;
+    for (let i = 0; i < density.length; i++) {
+        if (density[i] === 0) continue;
+        ctx.globalAlpha = Math.min(1, 0.2 + density[i] * 0.16);
+        ctx.fillRect((i % columns) * DENSITY_CELL_SIZE, Math.floor(i / columns) * DENSITY_CELL_SIZE, DENSITY_CELL_SIZE, DENSITY_CELL_SIZE);
+    }
+    ctx.globalAlpha = 1.0;
 }
 
-// Draw the current viewport rectangle on the minimap.  This rectangle
-// represents the portion of the full graph visible in the main canvas.
-function drawViewportRectangle(ctx, bounds, scale) {
-    const canvasElement = document.querySelector("canvas");
-    const ds = window.app?.canvas?.ds;
-    if (!ds) return;
-    const viewportWidth = canvasElement.clientWidth / ds.scale;
-    const viewportHeight = canvasElement.clientHeight / ds.scale;
-    const offsetX = -ds.offset[0];
-    const offsetY = -ds.offset[1];
-    const x = (offsetX - bounds.left) * scale;
-    const y = (offsetY - bounds.top) * scale;
-    const width = viewportWidth * scale;
-    const height = viewportHeight * scale;
-    ctx.strokeStyle = "rgba(168, 219, 235, 0.5)";
-    ctx.lineWidth = 1;
-    ctx.strokeRect(x, y, width, height);
+// Which group each node belongs to, as a Map of node id -> group.  A node
+// inside nested groups belongs to the smallest one.
+function getNodeGroupMap(graph) {
+    const result = new Map();
+    const index = updateSpatialIndex(graph);
+    const bySize = [...graph._groups].sort((a, b) => b.size[0] * b.size[1] - a.size[0] * a.size[1]);
+    for (const group of bySize) {
+        const [gx, gy] = group.pos;
+        const [gw, gh] = group.size;
+        // Same membership test as getGroupNodes(): the node's centre
+        for (const { item, isGroup, rect } of querySpatialIndex(index, gx, gy, gx + gw, gy + gh)) {
+            if (isGroup) continue;
+            const cx = rect.x + rect.width / 2;
+            const cy = rect.y + rect.height / 2;
+            if (cx >= gx && cx <= gx + gw && cy >= gy && cy <= gy + gh) result.set(String(item.id), group);
+        }
+    }
+    return result;
 }
 
-// Convert minimap drag motions into panning the main graph.  On mousedown
-// we record the starting mouse position and the current graph offset.  As
-// the mouse moves, we compute a delta in minimap coordinates and apply
-// the inverse transformation to the graph offset.
-function setupDrag(miniCanvas) {
-    let dragging = false;
-    let startMouse = { x: 0, y: 0 };
-    let startOffset = [0, 0];
+// Count the nodes of a group and how many of them have errors or are
+// bypassed.
+function getGroupStats(nodes) {
+    return {
+        count: nodes.length,
+        errors: nodes.filter(isNodeError).length,
+        bypassed: nodes.filter(isNodeBypassed).length,
+    };
+}
 
-    miniCanvas.addEventListener("mousedown", (event) => {
-        // Only start dragging if left button is pressed and Ctrl is not held
-        if (event.button !== 0 || event.ctrlKey) return;
-        dragging = true;
-        const rect = miniCanvas.getBoundingClientRect();
-        startMouse = { x: event.clientX - rect.left, y: event.clientY - rect.top };
-        const ds = window.app.canvas.ds;
-        startOffset = [ds.offset[0], ds.offset[1]];
-        event.preventDefault();
-    });
+// One line summarising getGroupStats(), e.g. "6 nodes · 1 error".
+function describeGroupStats(stats) {
+    const parts = [`${stats.count} node${stats.count === 1 ? "" : "s"}`];
+    if (stats.errors) parts.push(`${stats.errors} error${stats.errors === 1 ? "" : "s"}`);
+    if (stats.bypassed) parts.push(`${stats.bypassed} bypassed`);
+    return parts.join(" · ");
+}
 
-    miniCanvas.addEventListener("mousemove", (event) => {
-        if (!dragging) return;
-        const rect = miniCanvas.getBoundingClientRect();
-        const currentX = event.clientX - rect.left;
-        const currentY = event.clientY - rect.top;
-        const dx = currentX - startMouse.x;
-        const dy = currentY - startMouse.y;
-        const scale = miniCanvas.scale;
-        const graphDx = dx / scale;
-        const graphDy = dy / scale;
-        const ds = window.app.canvas.ds;
-        ds.offset[0] = startOffset[0] - graphDx;
-        ds.offset[1] = startOffset[1] - graphDy;
-        window.app.canvas.setDirty(true, true);
-        event.preventDefault();
+// Draw a group as a single block for the collapsed group view.  The block
+// takes the error colour if any of its nodes has an error and the bypass
+// colour if all of them are bypassed, and is labelled with the title and
+// node count.  The whole block acts as its label for clicking.
+function drawGroupBlock(ctx, r, members) {
+    const stats = getGroupStats(members);
+    ctx.globalAlpha = 0.7;
+    ctx.fillStyle = r.group.color || "#ccc";
+    ctx.fillRect(r.x, r.y, r.w, r.h);
+    ctx.globalAlpha = 1.0;
+    if (stats.errors > 0) {
+        ctx.fillStyle = settings.errorColor;
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+        ctx.strokeStyle = "red";
+        ctx.lineWidth = 3;
+        ctx.strokeRect(r.x, r.y, r.w, r.h);
+    } else if (stats.count > 0 && stats.bypassed === stats.count) {
+        ctx.fillStyle = settings.bypassColor;
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+    }
+    drawGroupLabel(ctx, r, [r.group.title || "Group", describeGroupStats(stats)]);
+    r.labelH = r.h;
+    r.nodeIds = new Set(members.map(node => String(node.id)));
+}
+
+// Write label lines in the top-left corner of a group rectangle, as many
+// as fit, and record the height of the label strip on the rectangle.
+function drawGroupLabel(ctx, r, lines) {
+    const lineHeight = 11;
+    if (r.w < 24 || r.h < lineHeight) return;
+    ctx.save();
+    ctx.font = "9px sans-serif";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    const fitting = lines.slice(0, Math.floor((r.h - 2) / lineHeight));
+    fitting.forEach((line, i) => ctx.fillText(line, r.x + 3, r.y + 2 + i * lineHeight, r.w - 6));
+    ctx.restore();
+    r.labelH = 2 + fitting.length * lineHeight;
+}
+
+// Draw the parts of the minimap that change independently of the graph
+// structure: the execution state of the current run and the viewport
+// rectangle.  These are cheap to draw, so they are redrawn every frame on
+// top of the cached static layer.
+function renderOverlay(ctx, canvas) {
+    const info = getOverlayInfo(canvas);
+    drawOverlayLayers(ctx, info, -Infinity, 0);
+    // An active search takes over the dimming from the lineage highlight
+    const showLineage = settings.showLineage && !searchState.query && selection.ids.size > 0;
+    if (searchState.query) dimExcept(ctx, canvas, searchState.matches);
+    if (showLineage) drawLineage(ctx, canvas);
+    drawExecutionState(ctx, canvas.nodeRects || [], canvas.groupRects || []);
+    if (settings.showChanges && isRootGraphShown()) drawRunDiff(ctx, canvas);
+    if (settings.showLint) drawLint(ctx, canvas);
+    drawSelection(ctx, canvas);
+    if (searchState.query) drawSearchMatches(ctx, canvas);
+    const mode = getActiveDisplayMode();
+    if (mode?.legend && settings.showLegend) callExtension(mode.legend, ctx, info, canvas.displayModeContext);
+    drawBookmarks(ctx, canvas);
+    drawOverlayLayers(ctx, info, 0, VIEWPORT_LAYER_Z);
+
+    // Draw viewport rectangle to indicate current view
+    drawViewportRectangle(ctx, canvas.bounds, canvas.scale);
+    drawEdgeIndicators(ctx, canvas);
+    drawOverlayLayers(ctx, info, VIEWPORT_LAYER_Z, Infinity);
+}
+
+// Dim the whole minimap except the boxes of the given nodes, which are
+// copied back undimmed from the static layer.
+function dimExcept(ctx, canvas, nodes) {
+    const width = canvas.displayWidth || canvas.width;
+    const height = canvas.displayHeight || canvas.height;
+    const pixelRatio = canvas.width / width;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, width, height);
+    if (!staticLayer) return;
+    for (const node of nodes) {
+        const r = canvas.nodeRectsById?.get(String(node.id));
+        if (!r) continue;
+        ctx.drawImage(staticLayer,
+            r.x * pixelRatio, r.y * pixelRatio, r.w * pixelRatio, r.h * pixelRatio,
+            r.x, r.y, r.w, r.h);
+    }
+}
+
+// Highlight the lineage of the selection: dim everything else, redraw the
+// links along the path thicker in the upstream/downstream colours and
+// outline the nodes on it.
+function drawLineage(ctx, canvas) {
+    const graph = window.app?.graph;
+    if (!graph) return;
+    const nodes = [];
+    for (const r of canvas.nodeRects || []) {
+        const id = String(r.node.id);
+        if (selection.ids.has(id) || lineage.upstream.has(id) || lineage.downstream.has(id)) nodes.push(r.node);
+    }
+    dimExcept(ctx, canvas, nodes);
+
+    const { bounds, scale } = canvas;
+    const mode = getLinkRenderMode();
+    ctx.lineWidth = 2;
+    forEachLink(graph, link => {
+        const id = String(link.id);
+        const upstream = lineage.upstreamLinks.has(id);
+        if (!upstream && !lineage.downstreamLinks.has(id)) return;
+        const points = getLinkPoints(graph, link);
+        if (!points) return;
+        ctx.strokeStyle = upstream ? settings.upstreamColor : settings.downstreamColor;
+        ctx.beginPath();
+        traceLinkPath(ctx, points.map(([x, y]) => [(x - bounds.left) * scale, (y - bounds.top) * scale]), mode === "hidden" ? "spline" : mode, scale);
+        ctx.stroke();
     });
 
-    const endDrag = () => { dragging = false; };
-    miniCanvas.addEventListener("mouseup", endDrag);
-    miniCanvas.addEventListener("mouseout", endDrag);
+    // The selected nodes themselves are outlined by drawSelection()
+    ctx.lineWidth = 1.5;
+    for (const node of nodes) {
+        const id = String(node.id);
+        if (selection.ids.has(id)) continue;
+        const r = canvas.nodeRectsById.get(id);
+        if (!r) continue;
+        ctx.strokeStyle = lineage.upstream.has(id) ? settings.upstreamColor : settings.downstreamColor;
+        ctx.strokeRect(r.x, r.y, r.w, r.h);
+    }
 }
 
-// Set up activity listeners on the main canvas so that the minimap shows
-// whenever the user interacts with the graph.  This resets the
-// lastActivityTime counter and restores full opacity.  A timer checks
-// periodically whether the fade delay has elapsed and hides the minimap.
-function setupFadeBehaviour(minimapDiv) {
-    const show = () => {
-        minimapDiv.style.opacity = 1;
-        lastActivityTime = Date.now();
-    };
-    const hideIfInactive = () => {
-        const elapsed = Date.now() - lastActivityTime;
-        if (elapsed > FADE_DELAY) {
-            minimapDiv.style.opacity = 0;
+// Outline the nodes selected in the main canvas, and draw the rubber band
+// while the user is Shift-dragging a selection on the minimap.
+function drawSelection(ctx, canvas) {
+    ctx.strokeStyle = settings.selectionColor;
+    ctx.lineWidth = 1.5;
+    for (const id of selection.ids) {
+        const r = canvas.nodeRectsById?.get(id);
+        if (r) ctx.strokeRect(r.x, r.y, r.w, r.h);
+    }
+    const band = selection.band;
+    if (band) {
+        const x = Math.min(band.x0, band.x1);
+        const y = Math.min(band.y0, band.y1);
+        const w = Math.abs(band.x1 - band.x0);
+        const h = Math.abs(band.y1 - band.y0);
+        ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+        ctx.fillRect(x, y, w, h);
+        ctx.setLineDash?.([3, 2]);
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, w, h);
+        ctx.setLineDash?.([]);
+    }
+}
+
+// Refresh `selection` from the main canvas.  Cheap enough to run every
+// frame; the key lets the lineage skip work when nothing changed.
+function updateSelection() {
+    const nodes = getSelectedNodes();
+    const key = nodes.map(node => node.id).sort().join(",");
+    if (key === selection.key) return;
+    selection.key = key;
+    selection.nodes = nodes;
+    selection.ids = new Set(nodes.map(node => String(node.id)));
+}
+
+// The nodes currently selected in the main canvas.  Older front-ends keep
+// them in `selected_nodes` (an object keyed by id), newer ones in
+// `selectedItems`, a Set that can also contain groups and reroutes.
+function getSelectedNodes() {
+    const canvas = window.app?.canvas;
+    if (!canvas) return [];
+    if (canvas.selected_nodes) return Object.values(canvas.selected_nodes);
+    if (canvas.selectedItems) {
+        const nodesById = getActiveGraph()?._nodes_by_id || {};
+        return [...canvas.selectedItems].filter(item => item?.id != null && nodesById[item.id] === item);
+    }
+    return [];
+}
+
+// Look up a link by id in whatever container graph.links is.
+function getLink(graph, linkId) {
+    const links = graph.links;
+    if (!links || linkId == null) return null;
+    return (typeof links.get === "function" ? links.get(linkId) : links[linkId]) ?? null;
+}
+
+// Recompute the lineage if the selection or the graph changed since the
+// last call.  Walks input links to collect everything upstream of the
+// selection and output links for everything downstream.
+function updateLineage() {
+    const graph = getActiveGraph();
+    const selected = settings.showLineage && graph ? selection.nodes : [];
+    const key = (settings.showLineage ? selection.key : "") + "|" + lastGraphSignature;
+    if (key === lineage.key) return;
+    lineage.key = key;
+    lineage.upstream = new Set();
+    lineage.downstream = new Set();
+    lineage.upstreamLinks = new Set();
+    lineage.downstreamLinks = new Set();
+    if (selected.length === 0) return;
+
+    const walk = (upstream) => {
+        const nodes = upstream ? lineage.upstream : lineage.downstream;
+        const links = upstream ? lineage.upstreamLinks : lineage.downstreamLinks;
+        const queue = [...selected];
+        while (queue.length > 0) {
+            const node = queue.pop();
+            const linkIds = upstream
+                ? (node.inputs || []).map(input => input.link)
+                : (node.outputs || []).flatMap(output => output.links || []);
+            for (const linkId of linkIds) {
+                const link = getLink(graph, linkId);
+                if (!link) continue;
+                links.add(String(link.id));
+                const next = graph._nodes_by_id[upstream ? link.origin_id : link.target_id];
+                if (!next) continue;
+                const id = String(next.id);
+                if (nodes.has(id) || selection.ids.has(id)) continue;
+                nodes.add(id);
+                queue.push(next);
+            }
         }
     };
-    const mainCanvas = document.querySelector("canvas");
-    if (!mainCanvas) return;
-    ["wheel", "mousedown", "mousemove", "mouseup", "mouseout"].forEach(evt => {
-        mainCanvas.addEventListener(evt, show);
+    walk(true);
+    walk(false);
+}
+
+// Outline the search matches, with a heavier frame around the match the
+// user last jumped to.
+function drawSearchMatches(ctx, canvas) {
+    ctx.strokeStyle = settings.searchColor;
+    searchState.matches.forEach((node, i) => {
+        const r = canvas.nodeRectsById?.get(String(node.id));
+        if (!r) return;
+        ctx.lineWidth = i === searchState.index ? 2.5 : 1;
+        ctx.strokeRect(r.x, r.y, r.w, r.h);
     });
-    // Periodically check for inactivity
-    setInterval(hideIfInactive, 500);
 }
 
-// Main initialization.  Wait until the global `app` and its graph are
-// available before creating the minimap.  This mirrors ComfyUI's own
-// extension loading logic; without waiting the graph may be undefined.
-function waitForGraphReady() {
-    const interval = setInterval(() => {
-        const graph = window.app?.graph;
-        if (graph && graph._nodes && graph._nodes.length > 0) {
-            clearInterval(interval);
-            initializeMinimap();
+// Draw the run state from executionState over the node boxes: cached
+// nodes are dimmed, finished nodes tinted and the running node outlined
+// with a step progress bar along its bottom edge.  A failed node is shown
+// by the static layer, as execution errors are recorded in nodeErrors.
+function drawExecutionState(ctx, rects, groupRects) {
+    const { running, progress, executed, cached } = executionState;
+    if (!isRootGraphShown()) return;
+    if (running == null && executed.size === 0 && cached.size === 0) return;
+    for (const r of rects) {
+        if (r.hidden) continue;
+        const id = String(r.node.id);
+        if (cached.has(id)) {
+            ctx.fillStyle = settings.cachedColor;
+            ctx.fillRect(r.x, r.y, r.w, r.h);
+        } else if (executed.has(id)) {
+            ctx.fillStyle = settings.finishedColor;
+            ctx.fillRect(r.x, r.y, r.w, r.h);
         }
-    }, 500);
+        // Outline drawn after the static layer so the frame appears on
+        // top of the error border
+        if (running === id) drawRunningOutline(ctx, r, progress);
+    }
+    // A collapsed group block is outlined while one of its nodes runs
+    for (const r of groupRects) {
+        if (running != null && r.nodeIds?.has(running)) drawRunningOutline(ctx, r, progress);
+    }
 }
 
-// Setup executing node highlight listener and instantiate the minimap
-function initializeMinimap() {
-    // Listen for execution events so we can highlight the current node
-    api.addEventListener("executing", (e) => {
-        const nodeId = e.detail;
-        if (nodeId != null) {
-            currentExecutingNode = nodeId;
+// Outline the rectangle of the executing node (or its group block) and
+// draw its step progress along the bottom edge.
+function drawRunningOutline(ctx, r, progress) {
+    ctx.strokeStyle = settings.executingColor;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(r.x, r.y, r.w, r.h);
+    if (progress && progress.max > 0) {
+        const barHeight = Math.max(2, Math.min(6, r.h * 0.15));
+        const barY = r.y + r.h - barHeight;
+        ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+        ctx.fillRect(r.x, barY, r.w, barHeight);
+        ctx.fillStyle = settings.executingColor;
+        ctx.fillRect(r.x, barY, r.w * clamp(progress.value / progress.max, 0, 1), barHeight);
+    }
+}
+
+// Fill used in heatmap mode for nodes without timing data (never executed
+// or served from cache).
+const HEATMAP_NO_DATA_COLOUR = "rgba(128, 128, 128, 0.25)";
+
+// Map a value in [0, 1] onto the heat scale, from blue (fast) through
+// green and yellow to red (slow).
+function getHeatColour(t) {
+    const hue = (1 - clamp(t, 0, 1)) * 240;
+    return `hsl(${hue}, 85%, 50%)`;
+}
+
+// The duration the heatmap shows for a node, according to the configured
+// metric, or null if the node has no timing data.
+function getHeatmapValue(node) {
+    const timing = getNodeTiming(node.id);
+    if (!timing) return null;
+    return settings.heatmapMetric === "last run" ? timing.last : timing.average;
+}
+
+// The largest heatmap value in the graph, which maps to the hot end of
+// the scale.  Returns { max: 0 } when nothing has been timed yet.
+function getHeatmapRange(graph) {
+    let max = 0;
+    for (const node of graph._nodes) {
+        const value = getHeatmapValue(node);
+        if (value != null && value > max) max = value;
+    }
+    return { max };
+}
+
+// The built-in "heatmap" display mode: nodes coloured by execution time.
+displayModes.set("heatmap", {
+    id: "heatmap",
+    hidePreviews: true,
+    prepare: getHeatmapRange,
+    nodeColour(node, range) {
+        const value = getHeatmapValue(node);
+        return value == null ? HEATMAP_NO_DATA_COLOUR : getHeatColour(value / range.max);
+    },
+    legend: (ctx, info, range) => drawHeatmapLegend(ctx, info.height, range.max),
+});
+
+// Draw a small heat scale in the bottom-left corner of the minimap,
+// labelled with the range it covers.  `height` is the height of the area
+// drawn on, in CSS pixels.
+function drawHeatmapLegend(ctx, height, max) {
+    const barWidth = 60;
+    const barHeight = 6;
+    const x = 6;
+    const y = height - barHeight - 16;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(x - 4, y - 4, barWidth + 8, barHeight + 20);
+    const gradient = ctx.createLinearGradient(x, 0, x + barWidth, 0);
+    for (let i = 0; i <= 4; i++) gradient.addColorStop(i / 4, getHeatColour(i / 4));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, y, barWidth, barHeight);
+
+    ctx.font = "9px sans-serif";
+    ctx.fillStyle = "#fff";
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText("0", x, y + barHeight + 3);
+    ctx.textAlign = "right";
+    ctx.fillText(max > 0 ? formatDuration(max) : "no data", x + barWidth, y + barHeight + 3);
+    ctx.textAlign = "left";
+}
+
+// Fills of the node categories the "category" display mode knows by
+// name.  Other categories get a colour derived from their name.
+const CATEGORY_COLOURS = {
+    loaders: "#3b82f6",
+    sampling: "#ef4444",
+    conditioning: "#f59e0b",
+    latent: "#ec4899",
+    image: "#22c55e",
+    mask: "#14b8a6",
+    "custom nodes": "#a855f7",
+    other: "#6b7280",
+};
+
+// Legend entries shown before the rest are summed up as "+N more", and the
+// longest label shown in full.
+const LEGEND_MAX_ENTRIES = 6;
+const LEGEND_LABEL_LENGTH = 24;
+
+// A stable colour for a name, so a category or package keeps its colour
+// across workflows and sessions.
+function getNameColour(name) {
+    let hash = 2166136261;
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return `hsl(${(hash >>> 0) % 360}, 55%, 45%)`;
+}
+
+// Whether a node definition's python module belongs to a custom node
+// pack, e.g. "custom_nodes.ComfyUI-Impact-Pack".
+function isCustomNodeModule(module) {
+    return typeof module === "string" && module.startsWith("custom_nodes.");
+}
+
+// The node's category for the "category" display mode: the top level of
+// its menu category (loaders, sampling, conditioning, ...), with every
+// node from a custom node pack counted as "custom nodes".
+function getNodeCategory(node) {
+    const nodeData = node.constructor?.nodeData;
+    if (isCustomNodeModule(nodeData?.python_module)) return "custom nodes";
+    const category = nodeData?.category ?? node.constructor?.category;
+    return category ? category.split("/")[0] : "other";
+}
+
+// The package a node comes from for the "package" display mode: the
+// custom node pack's folder name (without a version suffix), or "ComfyUI"
+// for the built-in nodes.  Nodes without a definition (reroutes, notes,
+// missing types) are "other".
+function getNodePackage(node) {
+    const module = node.constructor?.nodeData?.python_module;
+    if (!module) return "other";
+    return isCustomNodeModule(module) ? module.split(".")[1].split("@")[0] : "ComfyUI";
+}
+
+// The node's dominant output type for the "output type" display mode: the
+// type of the output with the most links, the first output breaking ties
+// and standing in when nothing is connected.
+function getDominantOutputType(node) {
+    let best = null;
+    for (const output of node.outputs || []) {
+        if (!best || (output.links?.length ?? 0) > (best.links?.length ?? 0)) best = output;
+    }
+    return best?.type ? String(best.type) : "none";
+}
+
+// Register a display mode that colours every node by a label (its
+// category, package, ...).  The context counts the nodes per label so the
+// legend can list the most common labels first.
+function addColourByMode(id, getLabel, getColour) {
+    displayModes.set(id, {
+        id,
+        prepare(graph) {
+            const counts = new Map();
+            for (const node of graph._nodes) {
+                const label = getLabel(node);
+                counts.set(label, (counts.get(label) ?? 0) + 1);
+            }
+            return { counts };
+        },
+        nodeColour: (node) => getColour(getLabel(node)),
+        legend(ctx, info, context) {
+            const entries = [...context.counts]
+                .sort((a, b) => b[1] - a[1])
+                .map(([label, count]) => ({ label, count, colour: getColour(label) }));
+            drawColourLegend(ctx, info.height, entries);
+        },
+    });
+}
+
+// The built-in colour-by display modes.  Output types use the same
+// colours as links of that type.
+addColourByMode("category", getNodeCategory, label => CATEGORY_COLOURS[label] ?? getNameColour(label));
+addColourByMode("package", getNodePackage, label => (label === "other" ? CATEGORY_COLOURS.other : getNameColour(label)));
+addColourByMode("output type", getDominantOutputType, label => (label === "none" ? CATEGORY_COLOURS.other : getLinkColor({ type: label })));
+
+// Draw a compact legend in the bottom-left corner of the minimap: a swatch,
+// label and node count per entry, the first LEGEND_MAX_ENTRIES of them
+// and a line summing up the rest.  `height` is the height of the area
+// drawn on, in CSS pixels.
+function drawColourLegend(ctx, height, entries) {
+    if (entries.length === 0) return;
+    const shown = entries.slice(0, LEGEND_MAX_ENTRIES);
+    const more = entries.length - shown.length;
+    const texts = shown.map(({ label, count }) => {
+        const name = label.length > LEGEND_LABEL_LENGTH ? label.slice(0, LEGEND_LABEL_LENGTH - 1) + "…" : label;
+        return `${name} (${count})`;
+    });
+    if (more > 0) texts.push(`+${more} more`);
+    const rowHeight = 11;
+    const x = 6;
+    const y = height - 6 - texts.length * rowHeight;
+
+    ctx.font = "9px sans-serif";
+    const textWidth = Math.max(...texts.map(text => ctx.measureText(text).width));
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(x - 4, y - 3, textWidth + 19, texts.length * rowHeight + 5);
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    texts.forEach((text, i) => {
+        const rowY = y + i * rowHeight;
+        if (i < shown.length) {
+            ctx.fillStyle = shown[i].colour;
+            ctx.fillRect(x, rowY + 2, 7, 7);
+        }
+        ctx.fillStyle = i < shown.length ? "#fff" : "rgba(255, 255, 255, 0.7)";
+        ctx.fillText(text, x + 11, rowY + 5.5);
+    });
+}
+
+// Format a duration in milliseconds for display, e.g. "850 ms", "2.4 s" or
+// "3 min 5 s".
+function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)} s`;
+    const minutes = Math.floor(ms / 60000);
+    return `${minutes} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+// Timing for a node: its duration in the most recent run it executed in
+// (the running prompt counts), and the average over the recent runs kept
+// in nodeTimings.history.  Returns null if the node has not been timed.
+function getNodeTiming(nodeId) {
+    if (!isRootGraphShown()) return null;
+    const id = String(nodeId);
+    const runs = nodeTimings.history
+        .slice(0, settings.heatmapHistory)
+        .filter(run => run.has(id))
+        .map(run => run.get(id));
+    const current = nodeTimings.current?.get(id);
+    const last = current ?? runs[0];
+    if (last == null) return null;
+    const average = runs.length > 0 ? runs.reduce((a, b) => a + b, 0) / runs.length : last;
+    return { last, average, runs: runs.length };
+}
+
+// Read the theme colours used by the static layer.  Looked up once per
+// rebuild rather than per node, since getComputedStyle forces a style
+// recalculation.
+function getThemeColours() {
+    const mainCanvas = document.querySelector("canvas");
+    return {
+        background: (mainCanvas && getComputedStyle(mainCanvas).backgroundColor) || "transparent",
+        nodeBackground: getComputedStyle(document.documentElement).getPropertyValue("--comfy-menu-bg").trim(),
+    };
+}
+
+// Mark the cached static layer as stale and schedule a redraw.  Used for
+// changes the graph signature cannot see, such as a preview image
+// finishing loading or a setting being changed.
+function invalidateMiniMap() {
+    staticLayerDirty = true;
+    requestMiniMapFrame();
+}
+
+// Whether the minimap is currently shown.  Nothing is rendered and the
+// graph is not polled for changes while it is faded out.
+function isMiniMapVisible() {
+    return !!minimapDiv && visibilityMode !== "hidden" && parseFloat(minimapDiv.style.opacity) !== 0;
+}
+
+// Schedule a frame if one isn't already pending.  The frame loop keeps
+// running at requestAnimationFrame rate while the minimap is visible and
+// stops by itself once it is hidden; showing the minimap restarts it.
+function requestMiniMapFrame() {
+    if (frameRequested || !minimapCanvas) return;
+    frameRequested = true;
+    requestAnimationFrame(renderFrame);
+}
+
+// One animation frame.  Only redraws when the static layer is stale or
+// something shown by the overlay (viewport, execution state) has changed.
+function renderFrame() {
+    frameRequested = false;
+    if (!isMiniMapVisible()) return;
+    const graph = getActiveGraph();
+    if (graph) {
+        if (settings.followViewport) updateFollowView(minimapCanvas);
+        else followView = null;
+        const overlayKey = getOverlayKey();
+        if (staticLayerDirty || overlayKey !== lastOverlayKey) {
+            renderMiniMap(graph, minimapCanvas);
+            lastOverlayKey = overlayKey;
+        }
+    }
+    requestMiniMapFrame();
+}
+
+// A string that changes whenever anything drawn by renderOverlay() does.
+function getOverlayKey() {
+    const ds = window.app?.canvas?.ds;
+    const mainCanvas = document.querySelector("canvas");
+    updateSelection();
+    updateLineage();
+    const band = selection.band;
+    return [
+        selection.key,
+        lineage.key,
+        band ? `${band.x0},${band.y0},${band.x1},${band.y1}` : "",
+        ds?.offset[0], ds?.offset[1], ds?.scale,
+        mainCanvas?.clientWidth, mainCanvas?.clientHeight,
+        minimapCanvas?.width, minimapCanvas?.height,
+        executionState.version,
+        searchState.version,
+        bookmarkState.version,
+        lintState.version,
+        runDiff.version,
+        extensionVersion,
+    ].join(",");
+}
+
+// Compare the graph against the signature from the previous check and mark
+// the static layer dirty if anything that affects it has changed.  This is
+// polled at the configured refresh interval, which is much cheaper than
+// redrawing: no canvas work is done unless something actually changed.
+function checkGraphChanged() {
+    const graph = getActiveGraph();
+    const rootGraph = window.app?.graph;
+    if (!graph || !rootGraph) return;
+    if (graph !== activeGraph) handleGraphSwitch(graph);
+    // Pick up validation errors the front-end recorded itself, then drop
+    // errors of nodes the user has since fixed.  Errors always refer to
+    // nodes of the workflow root.
+    if (app?.lastNodeErrors !== nodeErrors.source) {
+        nodeErrors.source = app?.lastNodeErrors;
+        if (nodeErrors.source) setValidationErrors(nodeErrors.source);
+    }
+    if (nodeErrors.entries.size > 0) pruneFixedErrors(rootGraph);
+    // A different workflow was loaded, or its bookmarks were replaced
+    if (getBookmarks(rootGraph) !== bookmarkState.source) updateBookmarkList();
+    const signature = computeGraphSignature(graph);
+    if (signature !== lastGraphSignature) {
+        lastGraphSignature = signature;
+        invalidateMiniMap();
+        if (minimapDiv?.groupList?.panel.style.display !== "none") updateGroupList();
+    }
+    // Titles and widget values are not part of the signature, so while a
+    // search is active it is run again on every check
+    if (searchState.query) updateSearchMatches(searchState.query);
+    updateLint();
+    updateRunDiff();
+}
+
+// A 32-bit FNV-1a hash built up one value at a time, which keeps change
+// detection allocation-free on large graphs.  `mix(value)` adds a value
+// and `digest()` returns the hash so far.
+function createHasher() {
+    let hash = 2166136261;
+    return {
+        mix(value) {
+            const str = String(value);
+            for (let i = 0; i < str.length; i++) {
+                hash ^= str.charCodeAt(i);
+                hash = Math.imul(hash, 16777619);
+            }
+            // Separator so that adjacent values cannot run together
+            hash ^= 0x7c;
+            hash = Math.imul(hash, 16777619);
+        },
+        digest: () => hash >>> 0,
+    };
+}
+
+// Hash everything that affects the static layer: node geometry and state,
+// links, groups and the theme colours.
+function computeGraphSignature(graph) {
+    const { mix, digest } = createHasher();
+    const theme = getThemeColours();
+    mix(theme.background);
+    mix(theme.nodeBackground);
+    for (const node of graph._nodes) {
+        mix(node.id);
+        mix(node.pos[0]);
+        mix(node.pos[1]);
+        mix(node.size[0]);
+        mix(node.size[1]);
+        mix(node.flags?.collapsed ? node._collapsed_width : "");
+        mix(node.color);
+        mix(isNodeError(node));
+        mix(isNodeBypassed(node));
+        if (settings.showPreviews) {
+            // New output images or a different gallery selection
+            mix(node.imgs?.length ? node.imgs[0]?.src : nodeOutputImages.get(String(node.id))?.[0]);
+            mix(node.imgs?.length ?? 0);
+            mix(node.imageIndex);
+        }
+    }
+    forEachLink(graph, link => {
+        mix(link.id);
+        mix(link.origin_id);
+        mix(link.origin_slot);
+        mix(link.target_id);
+        mix(link.target_slot);
+        mix(link.parentId);
+    });
+    mix(window.app?.canvas?.links_render_mode);
+    const reroutes = graph.reroutes;
+    if (reroutes) {
+        (typeof reroutes.forEach === "function" ? reroutes : Object.values(reroutes)).forEach(reroute => {
+            mix(reroute.id);
+            mix(reroute.pos[0]);
+            mix(reroute.pos[1]);
+            mix(reroute.parentId);
+        });
+    }
+    for (const group of graph._groups) {
+        mix(group.pos[0]);
+        mix(group.pos[1]);
+        mix(group.size[0]);
+        mix(group.size[1]);
+        mix(group.color);
+        mix(group.title);
+    }
+    return digest();
+}
+
+// Call fn for every link in the graph.  Depending on the LiteGraph version
+// graph.links is a Map, an array (with holes) or a plain object keyed by
+// link id.
+function forEachLink(graph, fn) {
+    const links = graph.links;
+    if (!links) return;
+    if (typeof links.forEach === "function") {
+        links.forEach(link => { if (link) fn(link); });
+    } else {
+        for (const link of Object.values(links)) {
+            if (link) fn(link);
+        }
+    }
+}
+
+// The canvas's current link render mode as "spline", "linear", "straight"
+// or "hidden", so the minimap draws links the way the main canvas does.
+function getLinkRenderMode() {
+    const mode = window.app?.canvas?.links_render_mode;
+    const lg = typeof LiteGraph !== "undefined" ? LiteGraph : {};
+    switch (mode) {
+        case (lg.HIDDEN_LINK ?? -1): return "hidden";
+        case (lg.STRAIGHT_LINK ?? 0): return "straight";
+        case (lg.LINEAR_LINK ?? 1): return "linear";
+        default: return "spline";
+    }
+}
+
+// The graph-space points a link passes through: the origin output slot,
+// any reroutes it is routed through, and the target input slot.  Returns
+// null for links whose origin or target node no longer exists.
+function getLinkPoints(graph, link) {
+    const originNode = graph._nodes_by_id[link.origin_id];
+    const targetNode = graph._nodes_by_id[link.target_id];
+    if (!originNode || !targetNode) return null;
+    return [
+        getSlotPosition(originNode, false, link.origin_slot),
+        ...getLinkReroutes(graph, link),
+        getSlotPosition(targetNode, true, link.target_slot),
+    ];
+}
+
+// The graph-space position of a node's input or output slot.  LiteGraph
+// knows the exact socket position (including collapsed nodes), so ask it;
+// the fallback mirrors its layout of one slot per row below the title.
+function getSlotPosition(node, isInput, slot) {
+    if (typeof node.getConnectionPos === "function") {
+        try {
+            const pos = node.getConnectionPos(isInput, slot, [0, 0]);
+            if (pos && Number.isFinite(pos[0]) && Number.isFinite(pos[1])) return [pos[0], pos[1]];
+        } catch (_) {
+            // fall back to the estimate below
+        }
+    }
+    if (node.flags?.collapsed) {
+        const x = isInput ? node.pos[0] : node.pos[0] + (node._collapsed_width || NODE_TITLE_HEIGHT);
+        return [x, node.pos[1] - NODE_TITLE_HEIGHT * 0.5];
+    }
+    const slotHeight = (typeof LiteGraph !== "undefined" && LiteGraph.NODE_SLOT_HEIGHT) || 20;
+    const x = isInput ? node.pos[0] : node.pos[0] + node.size[0] + 1;
+    return [x, node.pos[1] + (slot + 0.7) * slotHeight];
+}
+
+// Positions of the native reroutes a link is routed through, in order
+// from origin to target.  A link names the reroute closest to its target
+// in parentId; each reroute names the next one towards the origin.
+function getLinkReroutes(graph, link) {
+    const reroutes = graph.reroutes;
+    if (link.parentId == null || !reroutes) return [];
+    const lookup = (id) => (typeof reroutes.get === "function" ? reroutes.get(id) : reroutes[id]);
+    const points = [];
+    const seen = new Set();
+    let reroute = lookup(link.parentId);
+    while (reroute && !seen.has(reroute)) {
+        seen.add(reroute);
+        points.unshift([reroute.pos[0], reroute.pos[1]]);
+        reroute = reroute.parentId != null ? lookup(reroute.parentId) : null;
+    }
+    return points;
+}
+
+// Add a link's path to `path` (a canvas context, or anything with the same
+// moveTo/lineTo/bezierCurveTo methods) in the given render mode.  Each
+// segment leaves its start point to the right and enters its end point
+// from the left, like LiteGraph's own links and reroutes.  `scale` converts
+// LiteGraph's fixed graph-space offsets into minimap units.
+function traceLinkPath(path, points, mode, scale) {
+    path.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) {
+        const [ax, ay] = points[i - 1];
+        const [bx, by] = points[i];
+        if (mode === "linear") {
+            const step = 15 * scale;
+            path.lineTo(ax + step, ay);
+            path.lineTo(bx - step, by);
+            path.lineTo(bx, by);
+        } else if (mode === "straight") {
+            const step = 10 * scale;
+            const midX = (ax + step + bx - step) / 2;
+            path.lineTo(ax + step, ay);
+            path.lineTo(midX, ay);
+            path.lineTo(midX, by);
+            path.lineTo(bx - step, by);
+            path.lineTo(bx, by);
+        } else {
+            const dist = Math.hypot(bx - ax, by - ay) * 0.25;
+            path.bezierCurveTo(ax + dist, ay, bx - dist, by, bx, by);
+        }
+    }
+}
+
+// Draw a small dot at the given coordinate on the minimap canvas.  The
+// radius scales with the overall graph scale so that dots remain visible.
+function drawDot(ctx, x, y, color, scale) {
+    ctx.beginPath();
+    ctx.arc(x, y, 3 * scale, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+}
+
+// Draw the current viewport rectangle on the minimap.  This rectangle
+// represents the portion of the full graph visible in the main canvas.
+function drawViewportRectangle(ctx, bounds, scale) {
+    const viewport = getViewportRect();
+    if (!viewport) return;
+    const x = (viewport.x - bounds.left) * scale;
+    const y = (viewport.y - bounds.top) * scale;
+    const width = viewport.width * scale;
+    const height = viewport.height * scale;
+    ctx.strokeStyle = settings.viewportColor;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
+}
+
+// Outline each bookmarked view on the minimap, labelled with its shortcut
+// number and name.  The rectangle is the area the bookmark shows with the
+// main canvas at its current size.
+function drawBookmarks(ctx, canvas) {
+    const canvasElement = document.querySelector("canvas");
+    const graph = window.app?.graph;
+    if (!graph || !canvasElement || !isRootGraphShown()) return;
+    const { bounds, scale } = canvas;
+    ctx.save();
+    ctx.strokeStyle = settings.bookmarkColor;
+    ctx.fillStyle = settings.bookmarkColor;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 2]);
+    ctx.font = "9px sans-serif";
+    ctx.textBaseline = "top";
+    getBookmarks(graph).forEach((bookmark, index) => {
+        const x = (-bookmark.offset[0] - bounds.left) * scale;
+        const y = (-bookmark.offset[1] - bounds.top) * scale;
+        const width = canvasElement.clientWidth / bookmark.scale * scale;
+        const height = canvasElement.clientHeight / bookmark.scale * scale;
+        ctx.strokeRect(x, y, width, height);
+        const label = index < 9 ? `${index + 1} ${bookmark.name}` : bookmark.name;
+        ctx.fillText(label, x + 2, y + 2, Math.max(width - 4, 0));
+    });
+    ctx.restore();
+}
+
+// The part of the graph visible in the main canvas, in graph coordinates,
+// or null if the canvas isn't available yet.
+function getViewportRect() {
+    const canvasElement = document.querySelector("canvas");
+    const ds = window.app?.canvas?.ds;
+    if (!ds || !canvasElement) return null;
+    return {
+        x: -ds.offset[0],
+        y: -ds.offset[1],
+        width: canvasElement.clientWidth / ds.scale,
+        height: canvasElement.clientHeight / ds.scale,
+    };
+}
+
+// The view follow mode aims for: centred on the main canvas's view, with
+// the minimap's aspect ratio and settings.followArea times the view's
+// area, but never so small that the view itself doesn't fit.
+function getFollowTarget(canvas) {
+    const viewport = getViewportRect();
+    if (!viewport || viewport.width <= 0 || viewport.height <= 0) return null;
+    const width = canvas.displayWidth || canvas.width;
+    const height = canvas.displayHeight || canvas.height;
+    const areaWidth = Math.sqrt(viewport.width * viewport.height * settings.followArea * width / height);
+    return {
+        x: viewport.x + viewport.width / 2,
+        y: viewport.y + viewport.height / 2,
+        scale: Math.min(width / areaWidth, width / (viewport.width * 1.1), height / (viewport.height * 1.1)),
+    };
+}
+
+// Move the follow view a step towards the main canvas's view, so the
+// minimap scrolls smoothly after it as the canvas pans and zooms, and
+// mark the static layer stale when it moved.  The zoom is eased on a log
+// scale like animateMainCanvasTo(); once less than half a minimap pixel
+// is left the view snaps to its target.
+function updateFollowView(canvas) {
+    const target = getFollowTarget(canvas);
+    if (!target) return;
+    const current = followView;
+    if (!current) {
+        followView = target;
+    } else {
+        const scale = current.scale * Math.pow(target.scale / current.scale, FOLLOW_EASING);
+        const x = current.x + (target.x - current.x) * FOLLOW_EASING;
+        const y = current.y + (target.y - current.y) * FOLLOW_EASING;
+        const settled = Math.abs(target.x - x) * scale < 0.5 && Math.abs(target.y - y) * scale < 0.5 &&
+            Math.abs(target.scale / scale - 1) < 0.002;
+        followView = settled ? target : { x, y, scale };
+    }
+    if (!current || current.x !== followView.x || current.y !== followView.y || current.scale !== followView.scale) {
+        staticLayerDirty = true;
+    }
+}
+
+// Point towards executing and errored nodes outside the area shown (only
+// possible while following the viewport) with a small arrow at the edge
+// of the minimap, in the executing and error colours.  A node hidden in
+// a collapsed group block counts as where its block is.
+function drawEdgeIndicators(ctx, canvas) {
+    const graph = getActiveGraph();
+    if (!settings.followViewport || !graph || !isRootGraphShown()) return;
+    const width = canvas.displayWidth || canvas.width;
+    const height = canvas.displayHeight || canvas.height;
+    const targets = [];
+    for (const id of nodeErrors.entries.keys()) {
+        const node = findGraphNode(graph, id);
+        if (node) targets.push({ id: String(node.id), colour: settings.errorColor });
+    }
+    if (executionState.running != null) targets.push({ id: executionState.running, colour: settings.executingColor });
+
+    const margin = 7;
+    for (const { id, colour } of targets) {
+        const r = canvas.nodeRectsById?.get(id);
+        if (!r || (r.x + r.w >= 0 && r.y + r.h >= 0 && r.x <= width && r.y <= height)) continue;
+        // Where the line from the centre of the minimap to the node
+        // crosses the edge
+        const dx = r.x + r.w / 2 - width / 2;
+        const dy = r.y + r.h / 2 - height / 2;
+        const t = Math.min((width / 2 - margin) / Math.abs(dx || 1e-9), (height / 2 - margin) / Math.abs(dy || 1e-9));
+        ctx.save();
+        ctx.translate(width / 2 + dx * t, height / 2 + dy * t);
+        ctx.rotate(Math.atan2(dy, dx));
+        ctx.beginPath();
+        ctx.moveTo(6, 0);
+        ctx.lineTo(-4, -5);
+        ctx.lineTo(-4, 5);
+        ctx.closePath();
+        ctx.fillStyle = colour;
+        ctx.fill();
+        ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Convert a point on the minimap (CSS pixels, relative to its top-left
+// corner) into graph coordinates using the scale and bounds recorded by
+// the last render.
+function minimapToGraph(miniCanvas, x, y) {
+    return [
+        x / miniCanvas.scale + miniCanvas.bounds.left,
+        y / miniCanvas.scale + miniCanvas.bounds.top,
+    ];
+}
+
+// Position of a pointer event relative to the minimap canvas, in CSS pixels.
+function getMinimapPoint(miniCanvas, event) {
+    const rect = miniCanvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+// Return the topmost node whose minimap rectangle contains the point, or
+// null.  Nodes are drawn in array order, so the one latest in the array
+// wins.  Nodes hidden in a collapsed group block are never hit; the block
+// is found by findGroupAt() instead.
+function findNodeAt(miniCanvas, x, y) {
+    return findIndexedItemAt(miniCanvas, x, y, false, miniCanvas.nodeRectsById, node => String(node.id));
+}
+
+// Return the topmost group whose minimap rectangle contains the point, or
+// null.  Like nodes, later groups are drawn over earlier ones.
+function findGroupAt(miniCanvas, x, y) {
+    return findIndexedItemAt(miniCanvas, x, y, true, miniCanvas.groupRectsByGroup, group => group);
+}
+
+// Look up the candidates near a minimap point in the spatial index
+// recorded by the last render, and return the topmost item whose minimap
+// rectangle (found in `rects` by `keyOf`) contains the point.  Searching a
+// few pixels around the point catches boxes drawn larger than their true
+// size.
+function findIndexedItemAt(miniCanvas, x, y, isGroup, rects, keyOf) {
+    const index = miniCanvas.spatialIndex;
+    if (!index || !rects) return null;
+    const slack = 3 / miniCanvas.scale;
+    const [gx, gy] = minimapToGraph(miniCanvas, x, y);
+    let best = null;
+    for (const entry of querySpatialIndex(index, gx - slack, gy - slack, gx + slack, gy + slack)) {
+        if (entry.isGroup !== isGroup || (best && entry.order < best.order)) continue;
+        const r = rects.get(keyOf(entry.item));
+        if (r && !r.hidden && x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) best = entry;
+    }
+    return best?.item ?? null;
+}
+
+// Return the topmost group whose title label (or collapsed block) on the
+// minimap contains the point, or null.
+function findGroupLabelAt(miniCanvas, x, y) {
+    const labels = (miniCanvas.groupRects || []).map(r => ({ group: r.group, x: r.x, y: r.y, w: r.w, h: r.labelH }));
+    return findRectAt(labels.filter(r => r.h > 0), x, y)?.group ?? null;
+}
+
+// Search a list of minimap rectangles back to front for one containing
+// the point.
+function findRectAt(rects, x, y) {
+    if (!rects) return null;
+    for (let i = rects.length - 1; i >= 0; i--) {
+        const r = rects[i];
+        if (x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) return r;
+    }
+    return null;
+}
+
+// The nodes that belong to a group: those whose centre lies inside the
+// group's area.  Computed from geometry rather than the group's own node
+// list, which LiteGraph only refreshes when the group is moved.
+function getGroupNodes(graph, group) {
+    const [gx, gy] = group.pos;
+    const [gw, gh] = group.size;
+    return graph._nodes.filter(node => {
+        const rect = getNodeGraphRect(node);
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2;
+        return cx >= gx && cx <= gx + gw && cy >= gy && cy <= gy + gh;
+    });
+}
+
+// Move the main canvas so the graph point (x, y) is in the centre of the
+// view, keeping the current zoom level.
+function centerMainCanvasOn(x, y) {
+    const viewport = getViewportRect();
+    if (!viewport) return;
+    const ds = window.app.canvas.ds;
+    ds.offset[0] = -(x - viewport.width / 2);
+    ds.offset[1] = -(y - viewport.height / 2);
+    window.app.canvas.setDirty(true, true);
+}
+
+// Zoom the main canvas by `factor` around the graph point (x, y): the point
+// stays at the same place on screen while everything else scales around
+// it, matching how the mouse wheel behaves on the main canvas.
+function zoomMainCanvasAround(x, y, factor) {
+    const ds = window.app?.canvas?.ds;
+    if (!ds) return;
+    const newScale = clamp(ds.scale * factor, ds.min_scale ?? 0.1, ds.max_scale ?? 10);
+    // Screen position of the point before zooming
+    const screenX = (x + ds.offset[0]) * ds.scale;
+    const screenY = (y + ds.offset[1]) * ds.scale;
+    ds.scale = newScale;
+    ds.offset[0] = screenX / newScale - x;
+    ds.offset[1] = screenY / newScale - y;
+    window.app.canvas.setDirty(true, true);
+}
+
+// Animate the main canvas to the given offset and scale.  The centre of
+// the view moves in a straight line while the zoom changes
+// geometrically, so zooming in and out feel equally fast.  Starting a new
+// animation cancels the previous one.
+let viewAnimation = null;
+function animateMainCanvasTo(offset, scale, duration = 300) {
+    const viewport = getViewportRect();
+    const ds = window.app?.canvas?.ds;
+    if (!viewport || !ds) return;
+    if (viewAnimation) cancelAnimationFrame(viewAnimation);
+    const screenWidth = viewport.width * ds.scale;
+    const screenHeight = viewport.height * ds.scale;
+    const fromCentre = [viewport.x + viewport.width / 2, viewport.y + viewport.height / 2];
+    const toCentre = [-offset[0] + screenWidth / 2 / scale, -offset[1] + screenHeight / 2 / scale];
+    const fromScale = ds.scale;
+    const started = performance.now();
+    const step = (now) => {
+        const t = Math.min((now - started) / duration, 1);
+        const eased = t * (2 - t);
+        ds.scale = fromScale * Math.pow(scale / fromScale, eased);
+        const cx = fromCentre[0] + (toCentre[0] - fromCentre[0]) * eased;
+        const cy = fromCentre[1] + (toCentre[1] - fromCentre[1]) * eased;
+        ds.offset[0] = -(cx - screenWidth / 2 / ds.scale);
+        ds.offset[1] = -(cy - screenHeight / 2 / ds.scale);
+        window.app.canvas.setDirty(true, true);
+        lastActivityTime = Date.now();
+        viewAnimation = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    viewAnimation = requestAnimationFrame(step);
+}
+
+// Zoom and pan the main canvas so the graph rectangle fills the view with
+// a small margin, never zooming in further than 1:1.
+function fitMainCanvasTo(rect) {
+    const canvasElement = document.querySelector("canvas");
+    const ds = window.app?.canvas?.ds;
+    if (!ds || !canvasElement || !(rect.width > 0) || !(rect.height > 0)) return;
+    const padding = 40; // screen pixels around the fitted rectangle
+    const scale = Math.min(
+        (canvasElement.clientWidth - 2 * padding) / rect.width,
+        (canvasElement.clientHeight - 2 * padding) / rect.height,
+    );
+    ds.scale = clamp(scale, ds.min_scale ?? 0.1, Math.min(1, ds.max_scale ?? 10));
+    centerMainCanvasOn(rect.x + rect.width / 2, rect.y + rect.height / 2);
+}
+
+// The area a group occupies in graph coordinates.
+function getGroupGraphRect(group) {
+    return { x: group.pos[0], y: group.pos[1], width: group.size[0], height: group.size[1] };
+}
+
+// The area a node occupies in graph coordinates, including its title bar.
+function getNodeGraphRect(node) {
+    const titleHeight = node.isVirtualNode ? 0 : NODE_TITLE_HEIGHT;
+    const collapsed = !!node.flags?.collapsed;
+    return {
+        x: node.pos[0],
+        y: node.pos[1] - titleHeight,
+        width: collapsed ? node._collapsed_width : node.size[0],
+        height: collapsed ? NODE_TITLE_HEIGHT : node.size[1] + titleHeight,
+    };
+}
+
+// Convert minimap drag motions into panning the main graph.  Works with
+// pointer events, so mouse, pen and touch all pan alike.  On pointerdown
+// we record the starting position and the current graph offset.  As the
+// pointer moves, we compute a delta in minimap coordinates and apply the
+// inverse transformation to the graph offset.  Pressing outside the
+// viewport rectangle first centres the main canvas on the pressed point,
+// so a single click or tap jumps there and a drag continues from there.  A
+// click on a group's title (or on a collapsed group block) fits that group
+// instead; dragging from there still pans.  With two fingers on the
+// minimap, moving them pans and pinching zooms the main canvas.
+function setupDrag(miniCanvas) {
+    let dragging = false;
+    let startMouse = { x: 0, y: 0 };
+    let startOffset = [0, 0];
+    let pressedGroup = null;
+    const touches = new Map();  // pointerId -> minimap point of each finger down
+    let pinch = null;           // { x, y, distance } of the two fingers at the last move
+
+    const getPinch = () => {
+        const [a, b] = [...touches.values()];
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    };
+
+    miniCanvas.addEventListener("pointerdown", (event) => {
+        if (event.pointerType === "touch" && miniCanvas.bounds) {
+            touches.set(event.pointerId, getMinimapPoint(miniCanvas, event));
+            if (touches.size === 2) {
+                // A second finger turns the drag into a pinch
+                dragging = false;
+                pressedGroup = null;
+                pinch = getPinch();
+                event.preventDefault();
+                return;
+            }
+            if (touches.size > 2) return;
+        }
+        // Only start dragging if left button is pressed without Ctrl or
+        // Shift, which are used for selecting (see setupSelection()), and
+        // not on an item that edit mode is about to move
+        if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || !miniCanvas.bounds) return;
+        const point = getMinimapPoint(miniCanvas, event);
+        if (editMode && findEditTarget(miniCanvas, point.x, point.y)) return;
+        dragging = true;
+        miniCanvas.setPointerCapture?.(event.pointerId);
+        // preventDefault() below also keeps the browser from focusing the
+        // minimap, which its keys (see setupKeyboard()) need
+        miniCanvas.focus?.({ preventScroll: true });
+        startMouse = point;
+        pressedGroup = findNodeAt(miniCanvas, point.x, point.y) ? null : findGroupLabelAt(miniCanvas, point.x, point.y);
+        const [graphX, graphY] = minimapToGraph(miniCanvas, startMouse.x, startMouse.y);
+        const viewport = getViewportRect();
+        if (!pressedGroup && viewport && (graphX < viewport.x || graphX > viewport.x + viewport.width ||
+            graphY < viewport.y || graphY > viewport.y + viewport.height)) {
+            centerMainCanvasOn(graphX, graphY);
+        }
+        const ds = window.app.canvas.ds;
+        startOffset = [ds.offset[0], ds.offset[1]];
+        event.preventDefault();
+    });
+
+    miniCanvas.addEventListener("pointermove", (event) => {
+        if (touches.has(event.pointerId)) touches.set(event.pointerId, getMinimapPoint(miniCanvas, event));
+        if (pinch && touches.size === 2) {
+            // Pan by the movement of the midpoint, then zoom around the
+            // graph point under it by the change in finger distance
+            const next = getPinch();
+            const ds = window.app.canvas.ds;
+            ds.offset[0] -= (next.x - pinch.x) / miniCanvas.scale;
+            ds.offset[1] -= (next.y - pinch.y) / miniCanvas.scale;
+            if (pinch.distance > 0 && next.distance > 0) {
+                const [graphX, graphY] = minimapToGraph(miniCanvas, next.x, next.y);
+                zoomMainCanvasAround(graphX, graphY, next.distance / pinch.distance);
+            }
+            window.app.canvas.setDirty(true, true);
+            pinch = next;
+            lastActivityTime = Date.now();
+            event.preventDefault();
+            return;
+        }
+        if (!dragging) return;
+        const current = getMinimapPoint(miniCanvas, event);
+        const dx = current.x - startMouse.x;
+        const dy = current.y - startMouse.y;
+        if (pressedGroup && Math.hypot(dx, dy) < 3) return;
+        pressedGroup = null;
+        const scale = miniCanvas.scale;
+        const graphDx = dx / scale;
+        const graphDy = dy / scale;
+        const ds = window.app.canvas.ds;
+        ds.offset[0] = startOffset[0] - graphDx;
+        ds.offset[1] = startOffset[1] - graphDy;
+        window.app.canvas.setDirty(true, true);
+        event.preventDefault();
+    });
+
+    const endDrag = (event) => {
+        touches.delete(event.pointerId);
+        if (touches.size < 2) pinch = null;
+        dragging = false;
+        pressedGroup = null;
+    };
+    miniCanvas.addEventListener("pointerup", (event) => {
+        if (dragging && pressedGroup) fitMainCanvasTo(getGroupGraphRect(pressedGroup));
+        endDrag(event);
+    });
+    miniCanvas.addEventListener("pointercancel", endDrag);
+
+    // Wheel zooms the main canvas around the graph location under the
+    // pointer.  One wheel notch zooms by the same 10% step LiteGraph uses.
+    miniCanvas.addEventListener("wheel", (event) => {
+        if (!miniCanvas.bounds) return;
+        event.preventDefault();
+        // Horizontal scrolling (a tilted wheel, a trackpad swipe) doesn't zoom
+        if (event.deltaY === 0) return;
+        const point = getMinimapPoint(miniCanvas, event);
+        const [graphX, graphY] = minimapToGraph(miniCanvas, point.x, point.y);
+        zoomMainCanvasAround(graphX, graphY, event.deltaY < 0 ? 1.1 : 1 / 1.1);
+    }, { passive: false });
+
+    // Double-click fits the node or group under the pointer, or the whole
+    // graph when the click lands on empty space.
+    miniCanvas.addEventListener("dblclick", (event) => {
+        if (!miniCanvas.bounds || !getActiveGraph()) return;
+        event.preventDefault();
+        const point = getMinimapPoint(miniCanvas, event);
+        const node = findNodeAt(miniCanvas, point.x, point.y);
+        const group = node ? null : findGroupAt(miniCanvas, point.x, point.y);
+        if (node) {
+            fitMainCanvasTo(getNodeGraphRect(node));
+        } else if (group) {
+            fitMainCanvasTo(getGroupGraphRect(group));
+        } else {
+            const bounds = getGraphBounds(getActiveGraph());
+            fitMainCanvasTo({ x: bounds.left, y: bounds.top, width: bounds.width, height: bounds.height });
+        }
+    });
+}
+
+// Add a button to the minimap toolbar.  `label` is a short glyph; the
+// title explains the button on hover.
+function addToolbarButton(minimapDiv, label, title, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.title = title;
+    Object.assign(button.style, {
+        width: "18px",
+        height: "18px",
+        padding: "0",
+        font: "11px sans-serif",
+        lineHeight: "16px",
+        color: "var(--fg-color)",
+        backgroundColor: "var(--comfy-input-bg)",
+        border: "1px solid var(--border-color)",
+        borderRadius: "3px",
+        opacity: "0.85",
+        cursor: "pointer",
+    });
+    button.addEventListener("pointerdown", (event) => event.stopPropagation());
+    button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        lastActivityTime = Date.now();
+        onClick(event);
+    });
+    minimapDiv.toolbar.appendChild(button);
+    return button;
+}
+
+// Add a toolbar button that switches a boolean setting on and off.  The
+// button is kept in step with the setting by applySettings().
+function addSettingToggleButton(minimapDiv, key, label, title) {
+    const button = addToolbarButton(minimapDiv, label, title, () => saveSetting(key, !settings[key]));
+    minimapDiv.settingButtons ??= [];
+    minimapDiv.settingButtons.push({ button, key });
+    setToolbarButtonActive(button, !!settings[key]);
+    return button;
+}
+
+// Add a toolbar button that shows and hides a panel made by
+// createPanel().  `onOpen` is called whenever the panel is shown, to
+// refresh its contents.
+function addPanelToggleButton(minimapDiv, { panel }, label, title, onOpen) {
+    const button = addToolbarButton(minimapDiv, label, title, () => {
+        const open = panel.style.display === "none";
+        panel.style.display = open ? "" : "none";
+        setToolbarButtonActive(button, open);
+        if (open) onOpen?.();
+    });
+    setToolbarButtonActive(button, false);
+    return button;
+}
+
+// Show a toolbar button as switched on or off.
+function setToolbarButtonActive(button, active) {
+    button.style.backgroundColor = active ? "var(--comfy-menu-bg)" : "var(--comfy-input-bg)";
+    button.style.borderColor = active ? "var(--fg-color)" : "var(--border-color)";
+    button.setAttribute("aria-pressed", String(active));
+}
+
+// Create a panel in the minimap's panel stack (see createMiniMapCanvas())
+// with a clickable header that collapses its body.  Panels start hidden;
+// callers show them with `panel.style.display`.
+function createPanel(minimapDiv) {
+    const panel = document.createElement("div");
+    Object.assign(panel.style, {
+        display: "none",
+        maxHeight: "180px",
+        overflowY: "auto",
+        borderRadius: "6px",
+        border: "1px solid var(--border-color)",
+        backgroundColor: "var(--comfy-menu-bg)",
+        color: "var(--fg-color)",
+        font: "11px sans-serif",
+    });
+    const header = document.createElement("div");
+    Object.assign(header.style, {
+        padding: "3px 6px",
+        fontWeight: "bold",
+        cursor: "pointer",
+        userSelect: "none",
+    });
+    const body = document.createElement("div");
+    header.addEventListener("click", () => {
+        body.style.display = body.style.display === "none" ? "" : "none";
+    });
+    panel.append(header, body);
+    minimapDiv.panelStack.appendChild(panel);
+    return { panel, header, body };
+}
+
+// Add a clickable row to a panel body.
+function addPanelRow(body, text, onClick, title) {
+    const row = document.createElement("div");
+    row.textContent = text;
+    if (title) row.title = title;
+    Object.assign(row.style, {
+        padding: "2px 6px",
+        cursor: "pointer",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+        whiteSpace: "nowrap",
+    });
+    row.addEventListener("mouseenter", () => { row.style.backgroundColor = "var(--comfy-input-bg)"; });
+    row.addEventListener("mouseleave", () => { row.style.backgroundColor = ""; });
+    row.addEventListener("click", onClick);
+    body.appendChild(row);
+    return row;
+}
+
+// Fit the main canvas to a node and select it.
+function jumpToNode(node) {
+    fitMainCanvasTo(getNodeGraphRect(node));
+    window.app?.canvas?.selectNode?.(node);
+}
+
+// Rebuild the error list panel from nodeErrors.  The panel is only shown
+// while there are errors; each row jumps to its node.
+function updateErrorList() {
+    const list = minimapDiv?.errorList;
+    const graph = window.app?.graph;
+    if (!list || !graph) return;
+    const { panel, header, body } = list;
+    body.replaceChildren();
+    const count = nodeErrors.entries.size;
+    panel.style.display = count > 0 ? "" : "none";
+    if (count === 0) return;
+    header.textContent = `⚠ ${count} node${count === 1 ? "" : "s"} with errors`;
+    header.style.color = "#f87171";
+    for (const [id, entry] of nodeErrors.entries) {
+        const node = findGraphNode(graph, id);
+        const name = node ? (node.title || node.type) : "Missing node";
+        const text = `#${id} ${name}: ${entry.messages.join("; ")}`;
+        const row = addPanelRow(body, text, () => {
+            if (!node) return;
+            if (!isRootGraphShown()) navigateToGraph(graph);
+            jumpToNode(node);
+        }, entry.messages.join("\n"));
+        if (!node) row.style.cursor = "default";
+    }
+}
+
+// The usable bookmarks of each stored bookmark array, so a list is only
+// validated once and keeps its identity between calls (checkGraphChanged()
+// compares lists by identity).
+const validBookmarks = new WeakMap();
+const NO_BOOKMARKS = Object.freeze([]);
+
+// The workflow's bookmarks: [{ name, offset: [x, y], scale }].  Stored in
+// the graph's extra data so they travel with the saved workflow; the
+// first nine are recalled with the number keys.  The stored data comes
+// from whatever workflow was loaded, so entries without a finite offset
+// and a positive scale are left out and missing names filled in.
+function getBookmarks(graph) {
+    const stored = graph?.extra?.minimapBookmarks;
+    if (!Array.isArray(stored)) return NO_BOOKMARKS;
+    let list = validBookmarks.get(stored);
+    if (!list) {
+        list = stored
+            .filter(bookmark => Array.isArray(bookmark?.offset) && bookmark.offset.length === 2 &&
+                bookmark.offset.every(Number.isFinite) && Number.isFinite(bookmark.scale) && bookmark.scale > 0)
+            .map((bookmark, index) => ({ ...bookmark, name: typeof bookmark.name === "string" ? bookmark.name : `View ${index + 1}` }));
+        validBookmarks.set(stored, list);
+    }
+    return list;
+}
+
+// Replace the workflow's bookmarks and mark the workflow as modified.
+function setBookmarks(graph, list) {
+    graph.extra ??= {};
+    graph.extra.minimapBookmarks = list;
+    updateBookmarkList();
+    notifyGraphChanged();
+}
+
+// Save the current view of the main canvas as a new bookmark.  Bookmarks
+// are views of the workflow root, so this does nothing inside a subgraph.
+function addBookmark(name) {
+    const graph = window.app?.graph;
+    const ds = window.app?.canvas?.ds;
+    if (!graph || !ds || !isRootGraphShown()) return;
+    const bookmark = { name, offset: [ds.offset[0], ds.offset[1]], scale: ds.scale };
+    setBookmarks(graph, [...getBookmarks(graph), bookmark]);
+}
+
+// Animate the main canvas to a bookmark by its position in the list,
+// leaving any subgraph first.
+function recallBookmark(index) {
+    const bookmark = getBookmarks(window.app?.graph)[index];
+    if (!bookmark) return;
+    if (!isRootGraphShown()) navigateToGraph(window.app.graph);
+    animateMainCanvasTo(bookmark.offset, bookmark.scale);
+}
+
+// Rebuild the bookmark panel.  Each row recalls its bookmark and has a
+// button to delete it; the last row saves the current view.
+function updateBookmarkList() {
+    const graph = window.app?.graph;
+    const list = minimapDiv?.bookmarkList;
+    bookmarkState.source = getBookmarks(graph);
+    bookmarkState.version++;
+    requestMiniMapFrame();
+    if (!list || !graph) return;
+    const { header, body } = list;
+    header.textContent = "★ Bookmarks";
+    body.replaceChildren();
+    bookmarkState.source.forEach((bookmark, index) => {
+        const text = index < 9 ? `${index + 1}  ${bookmark.name}` : bookmark.name;
+        const row = addPanelRow(body, text, () => recallBookmark(index), index < 9 ? `Press ${index + 1} on the minimap to recall` : undefined);
+        row.style.display = "flex";
+        const label = document.createElement("span");
+        label.textContent = text;
+        Object.assign(label.style, { flex: "1", overflow: "hidden", textOverflow: "ellipsis" });
+        const remove = document.createElement("span");
+        remove.textContent = "×";
+        remove.title = "Delete bookmark";
+        remove.style.padding = "0 4px";
+        remove.addEventListener("click", (event) => {
+            event.stopPropagation();
+            setBookmarks(graph, getBookmarks(graph).filter((_, i) => i !== index));
+        });
+        row.replaceChildren(label, remove);
+    });
+    addPanelRow(body, "+ Save current view…", () => {
+        const name = window.prompt("Bookmark name", `View ${getBookmarks(graph).length + 1}`);
+        if (name) addBookmark(name);
+    }).style.opacity = "0.7";
+}
+
+// Recall bookmarks with the number keys 1-9 while the minimap has focus;
+// elsewhere the digits belong to the main canvas and other extensions.
+// Keys typed into text fields or pressed with a modifier are left alone.
+function setupBookmarkKeys(minimapDiv) {
+    minimapDiv.addEventListener("keydown", (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+        const target = event.target;
+        if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+        if (!/^[1-9]$/.test(event.key)) return;
+        if (!getBookmarks(window.app?.graph)[Number(event.key) - 1]) return;
+        recallBookmark(Number(event.key) - 1);
+        event.preventDefault();
+        event.stopPropagation();
+    });
+}
+
+// Rebuild the group list panel: one row per group, sorted by title, with
+// its node count and any errors.  Clicking a row fits the group in the
+// main canvas.
+function updateGroupList() {
+    const list = minimapDiv?.groupList;
+    const graph = getActiveGraph();
+    if (!list || !graph) return;
+    const { header, body } = list;
+    const groups = [...graph._groups].sort((a, b) => (a.title || "").localeCompare(b.title || ""));
+    header.textContent = `▤ Groups (${groups.length})`;
+    body.replaceChildren();
+    for (const group of groups) {
+        const stats = getGroupStats(getGroupNodes(graph, group));
+        const row = addPanelRow(body, `${group.title || "Group"} · ${describeGroupStats(stats)}`, () => {
+            fitMainCanvasTo(getGroupGraphRect(group));
+        });
+        if (stats.errors > 0) row.style.color = "#f87171";
+    }
+}
+
+// The kinds of problem lint mode looks for, in the order the summary
+// panel lists them.  `colour` names the setting holding the category's
+// outline colour.
+const LINT_CATEGORIES = [
+    { id: "missing", label: "Missing node types", colour: "lintMissingColor" },
+    { id: "unconnected", label: "Unconnected required inputs", colour: "lintUnconnectedColor" },
+    { id: "dead", label: "Dead branches and orphans", colour: "lintDeadColor" },
+    { id: "brokenLink", label: "Broken links", colour: "lintBrokenLinkColor" },
+];
+
+// Whether LiteGraph doesn't know a node's type, i.e. it comes from a
+// custom node pack that isn't installed.  Subgraph nodes are typed by
+// their subgraph's id and never count as missing.
+function isNodeTypeMissing(node) {
+    const types = typeof LiteGraph !== "undefined" ? LiteGraph.registered_node_types : null;
+    if (!types || !node.type || node.isSubgraphNode?.()) return false;
+    return !(node.type in types);
+}
+
+// Names of the node's required inputs that take a link rather than a
+// widget value and have nothing connected.  Only nodes with a ComfyUI
+// node definition can be checked, since nothing else says which inputs
+// are required.
+function getUnconnectedInputs(node) {
+    const required = node.constructor?.nodeData?.input?.required;
+    if (!required) return [];
+    return (node.inputs || [])
+        .filter(input => input.name in required && input.link == null && !input.widget)
+        .map(input => input.name);
+}
+
+// Ids (as strings) of the nodes whose results reach an output node (Save
+// Image, Preview Image, ...), found by walking the links backwards from
+// the output nodes.  Nodes without a ComfyUI node definition (subgraph
+// nodes, nodes of missing types) may well produce output, so they count
+// as output nodes too.  Inside a subgraph, whatever feeds the subgraph's
+// outputs (links to a negative node id) is used by the graph around it.
+function getLiveNodeIds(graph) {
+    const live = new Set();
+    const queue = [];
+    const visit = (node) => {
+        if (!node || live.has(String(node.id))) return;
+        live.add(String(node.id));
+        queue.push(node);
+    };
+    for (const node of graph._nodes) {
+        const nodeData = node.constructor?.nodeData;
+        if (!node.isVirtualNode && (!nodeData || nodeData.output_node)) visit(node);
+    }
+    forEachLink(graph, link => {
+        if (link.target_id < 0) visit(graph._nodes_by_id[link.origin_id]);
+    });
+    while (queue.length > 0) {
+        const node = queue.pop();
+        for (const input of node.inputs || []) {
+            const link = getLink(graph, input.link);
+            if (link) visit(graph._nodes_by_id[link.origin_id]);
+        }
+    }
+    return live;
+}
+
+// Whether a node has no links at all.
+function isNodeOrphan(node) {
+    return !(node.inputs || []).some(input => input.link != null)
+        && !(node.outputs || []).some(output => output.links?.length > 0);
+}
+
+// Lint the graph shown in the main canvas if lint mode is on and the graph
+// changed since the last call.  Fills lintState with the nodes of each
+// category and the reason each node was flagged, keeping the summary
+// panel's position in each category where possible.
+function updateLint() {
+    const graph = getActiveGraph();
+    const key = settings.showLint && graph ? String(lastGraphSignature) : "";
+    if (key === lintState.key) return;
+    lintState.key = key;
+    const previous = new Map(lintState.results.map(result => [result.category.id, result]));
+    const found = Object.fromEntries(LINT_CATEGORIES.map(category => [category.id, { nodes: new Set(), count: 0, links: [] }]));
+    const reasons = new Map();
+    const flag = (categoryId, node, message) => {
+        const entry = found[categoryId];
+        entry.nodes.add(node);
+        const id = String(node.id);
+        if (!reasons.has(id)) reasons.set(id, []);
+        reasons.get(id).push(message);
+    };
+
+    if (key) {
+        const live = getLiveNodeIds(graph);
+        for (const node of graph._nodes) {
+            if (isNodeTypeMissing(node)) flag("missing", node, `Node type "${node.type}" is not installed`);
+            // A bypassed node passes its inputs through and needs none
+            const unconnected = isNodeBypassed(node) ? [] : getUnconnectedInputs(node);
+            if (unconnected.length > 0) {
+                flag("unconnected", node, `Required input${unconnected.length === 1 ? "" : "s"} not connected: ${unconnected.join(", ")}`);
+            }
+            if (!node.isVirtualNode && !live.has(String(node.id))) {
+                flag("dead", node, isNodeOrphan(node) ? "Not connected to any other node" : "Doesn't lead to an output node");
+            }
+        }
+        // Negative ids are the inputs and outputs of a subgraph, not nodes
+        forEachLink(graph, link => {
+            const origin = graph._nodes_by_id[link.origin_id];
+            const target = graph._nodes_by_id[link.target_id];
+            const originMissing = !origin && !(link.origin_id < 0);
+            const targetMissing = !target && !(link.target_id < 0);
+            if (!originMissing && !targetMissing) return;
+            found.brokenLink.count++;
+            if (origin) {
+                found.brokenLink.links.push({ node: origin, isInput: false, slot: link.origin_slot });
+                flag("brokenLink", origin, `Link #${link.id} goes to missing node #${link.target_id}`);
+            }
+            if (target) {
+                found.brokenLink.links.push({ node: target, isInput: true, slot: link.target_slot });
+                flag("brokenLink", target, `Link #${link.id} comes from missing node #${link.origin_id}`);
+            }
+        });
+    }
+
+    lintState.results = LINT_CATEGORIES.map(category => {
+        const { nodes, count, links } = found[category.id];
+        const cursor = Math.min(previous.get(category.id)?.cursor ?? -1, nodes.size - 1);
+        return { category, nodes: [...nodes], count: category.id === "brokenLink" ? count : nodes.size, links, cursor };
+    });
+    lintState.reasons = reasons;
+    if (lintState.current && !reasons.has(lintState.current)) lintState.current = null;
+    lintState.version++;
+    updateLintPanel();
+}
+
+// Outline the nodes lint mode flagged, one ring per category around the
+// node box so a node with several problems shows all of their colours,
+// and mark the socket end of each broken link with a cross.  The node
+// the summary panel last jumped to gets heavier rings.
+function drawLint(ctx, canvas) {
+    const { bounds, scale } = canvas;
+    const rings = new Map();  // id -> rings already drawn around the node
+    for (const { category, nodes } of lintState.results) {
+        ctx.strokeStyle = settings[category.colour];
+        ctx.setLineDash?.(category.id === "dead" ? [3, 2] : []);
+        for (const node of nodes) {
+            const id = String(node.id);
+            const r = canvas.nodeRectsById?.get(id);
+            if (!r) continue;
+            const ring = rings.get(id) ?? 0;
+            rings.set(id, ring + 1);
+            const gap = 1.5 + ring * 2.5;
+            ctx.lineWidth = id === lintState.current ? 2.5 : 1.5;
+            ctx.strokeRect(r.x - gap, r.y - gap, r.w + gap * 2, r.h + gap * 2);
+        }
+    }
+    ctx.setLineDash?.([]);
+    const broken = lintState.results.find(result => result.category.id === "brokenLink");
+    ctx.strokeStyle = settings.lintBrokenLinkColor;
+    ctx.lineWidth = 1.5;
+    for (const { node, isInput, slot } of broken?.links || []) {
+        const r = canvas.nodeRectsById?.get(String(node.id));
+        if (!r || r.hidden) continue;
+        const [graphX, graphY] = getSlotPosition(node, isInput, slot);
+        const x = (graphX - bounds.left) * scale;
+        const y = (graphY - bounds.top) * scale;
+        ctx.beginPath();
+        ctx.moveTo(x - 3, y - 3);
+        ctx.lineTo(x + 3, y + 3);
+        ctx.moveTo(x + 3, y - 3);
+        ctx.lineTo(x - 3, y + 3);
+        ctx.stroke();
+    }
+}
+
+// Rebuild the lint summary panel: one row per category with its count, in
+// the category's colour.  Clicking a row jumps to the next node of that
+// category.  The panel is shown while lint mode is on.
+function updateLintPanel() {
+    const list = minimapDiv?.lintPanel;
+    if (!list) return;
+    const { panel, header, body } = list;
+    panel.style.display = settings.showLint ? "" : "none";
+    body.replaceChildren();
+    if (!settings.showLint) return;
+    const total = lintState.results.reduce((sum, result) => sum + result.count, 0);
+    header.textContent = total === 0 ? "⚑ Lint: no problems" : `⚑ Lint: ${total} problem${total === 1 ? "" : "s"}`;
+    for (const result of lintState.results) {
+        const { category, nodes, count, cursor } = result;
+        const position = cursor >= 0 && nodes.length > 1 ? ` (${cursor + 1}/${nodes.length})` : "";
+        const row = addPanelRow(body, `${category.label}: ${count}${position}`, () => cycleLint(result),
+            nodes.length > 0 ? "Click to jump to the next affected node" : undefined);
+        const swatch = document.createElement("span");
+        swatch.textContent = "■ ";
+        swatch.style.color = settings[category.colour];
+        row.insertBefore(swatch, row.firstChild);
+        if (nodes.length === 0) {
+            row.style.opacity = "0.6";
+            row.style.cursor = "default";
+        }
+    }
+}
+
+// Jump to the next node of a lint category, wrapping around at the end.
+function cycleLint(result) {
+    if (result.nodes.length === 0) return;
+    result.cursor = (result.cursor + 1) % result.nodes.length;
+    const node = result.nodes[result.cursor];
+    lintState.current = String(node.id);
+    lintState.version++;
+    jumpToNode(node);
+    updateLintPanel();
+    requestMiniMapFrame();
+}
+
+// Names of LiteGraph's node modes, by value, for the changes tooltip.
+const NODE_MODE_NAMES = ["always", "on event", "never", "on trigger", "bypass"];
+
+// Longest widget value shown in the changes tooltip before it is cut off.
+const CHANGE_VALUE_LENGTH = 32;
+
+// A widget value as a string for comparing and showing it.  Objects are
+// compared by their JSON.
+function stringifyWidgetValue(value) {
+    if (value === null || typeof value !== "object") return String(value);
+    try {
+        return JSON.stringify(value);
+    } catch {
+        return String(value);
+    }
+}
+
+// Whether a widget's value is changed by ComfyUI itself after every
+// queued prompt (a seed set to randomize, increment or decrement), which
+// would otherwise show up as a change straight after each run.
+function isWidgetAutoControlled(widget) {
+    return (widget.linkedWidgets || []).some(linked => linked.name === "control_after_generate" && linked.value !== "fixed");
+}
+
+// Record what the changes overlay compares against: for every node of the
+// workflow root its type, title, mode, box, widget values and where each
+// input is connected from.  Virtual nodes (notes, reroutes, ...) don't
+// take part in a run and are left out.
+function takeRunSnapshot(graph) {
+    const snapshot = new Map();
+    for (const node of graph._nodes) {
+        if (node.isVirtualNode) continue;
+        const widgets = new Map();
+        for (const widget of node.widgets || []) {
+            if (widget.name && !isWidgetAutoControlled(widget)) widgets.set(widget.name, stringifyWidgetValue(widget.value));
+        }
+        const inputs = new Map();
+        for (const input of node.inputs || []) {
+            const link = getLink(graph, input.link);
+            const origin = link && graph._nodes_by_id[link.origin_id];
+            const output = origin?.outputs?.[link.origin_slot];
+            inputs.set(input.name, link ? `#${link.origin_id} ${output?.name ?? link.origin_slot}` : null);
+        }
+        snapshot.set(String(node.id), {
+            id: node.id,
+            type: node.type,
+            title: node.title || node.type,
+            mode: node.mode ?? 0,
+            rect: getNodeGraphRect(node),
+            widgets,
+            inputs,
+        });
+    }
+    return snapshot;
+}
+
+// Hash what takeRunSnapshot() records, apart from the node positions:
+// node types, modes, widget values and input links.  Lets updateRunDiff()
+// skip the comparison while none of it has changed.
+function computeRunDiffHash(graph) {
+    const { mix, digest } = createHasher();
+    for (const node of graph._nodes) {
+        if (node.isVirtualNode) continue;
+        mix(node.id);
+        mix(node.type);
+        mix(node.mode ?? 0);
+        for (const widget of node.widgets || []) {
+            if (!widget.name || isWidgetAutoControlled(widget)) continue;
+            mix(widget.name);
+            mix(stringifyWidgetValue(widget.value));
+        }
+        for (const input of node.inputs || []) {
+            const link = getLink(graph, input.link);
+            mix(input.name);
+            mix(link ? `${link.origin_id}:${link.origin_slot}` : "");
+        }
+    }
+    return digest();
+}
+
+// Make a snapshot the baseline of the changes overlay.
+function setRunSnapshot(snapshot) {
+    runDiff.snapshot = snapshot;
+    updateRunDiff();
+    requestMiniMapFrame();
+}
+
+// Compare two maps of name -> value and describe each entry that differs
+// as "name: old → new".  `empty` stands in for a missing or null value.
+function describeMapChanges(before, after, empty) {
+    const format = (value) => {
+        if (value == null) return empty;
+        return value.length > CHANGE_VALUE_LENGTH ? value.slice(0, CHANGE_VALUE_LENGTH - 1) + "…" : value;
+    };
+    const lines = [];
+    for (const name of new Set([...before.keys(), ...after.keys()])) {
+        const old = before.get(name) ?? null;
+        const now = after.get(name) ?? null;
+        if (old !== now) lines.push(`${name}: ${format(old)} → ${format(now)}`);
+    }
+    return lines;
+}
+
+// Compare the workflow root against the snapshot of the last queued run.
+// Nodes that are new (or whose id now belongs to a different type) are
+// "added", nodes whose inputs are connected differently "rewired" and
+// nodes with different widget values or mode "changed"; nodes that are
+// gone are kept as ghosts.  Called on every change check since widget
+// values don't affect the graph signature, but the comparison only runs
+// when the baseline or computeRunDiffHash() changed; the overlay is only
+// redrawn when the set of highlighted nodes changes.
+function updateRunDiff() {
+    const graph = window.app?.graph;
+    const active = Boolean(runDiff.snapshot && graph && settings.showChanges);
+    const hash = active ? computeRunDiffHash(graph) : null;
+    if (active && runDiff.compared === runDiff.snapshot && runDiff.hash === hash) return;
+    runDiff.compared = active ? runDiff.snapshot : null;
+    runDiff.hash = hash;
+    const changes = new Map();
+    const removed = [];
+    if (active) {
+        const current = takeRunSnapshot(graph);
+        for (const [id, now] of current) {
+            const before = runDiff.snapshot.get(id);
+            if (!before || before.type !== now.type) {
+                changes.set(id, { kinds: ["added"], messages: ["Added since the last run"] });
+                continue;
+            }
+            const rewired = describeMapChanges(before.inputs, now.inputs, "not connected");
+            const changed = describeMapChanges(before.widgets, now.widgets, "none");
+            if (before.mode !== now.mode) {
+                changed.unshift(`mode: ${NODE_MODE_NAMES[before.mode] ?? before.mode} → ${NODE_MODE_NAMES[now.mode] ?? now.mode}`);
+            }
+            if (rewired.length === 0 && changed.length === 0) continue;
+            const kinds = [];
+            if (rewired.length > 0) kinds.push("rewired");
+            if (changed.length > 0) kinds.push("changed");
+            const messages = ["Changed since the last run:", ...[...rewired, ...changed].map(line => "  " + line)];
+            changes.set(id, { kinds, messages });
+        }
+        for (const [id, before] of runDiff.snapshot) {
+            if (current.get(id)?.type !== before.type) removed.push(before);
+        }
+    }
+    runDiff.changes = changes;
+    runDiff.removed = removed;
+    const key = [...changes].map(([id, change]) => `${id}:${change.kinds.join("+")}`).join(",")
+        + "|" + removed.map(entry => entry.id).join(",");
+    if (key !== runDiff.key) {
+        runDiff.key = key;
+        runDiff.version++;
+    }
+}
+
+// The box of a snapshot entry on the minimap.
+function getGhostRect(canvas, entry) {
+    const { bounds, scale } = canvas;
+    return {
+        x: (entry.rect.x - bounds.left) * scale,
+        y: (entry.rect.y - bounds.top) * scale,
+        w: entry.rect.width * scale,
+        h: entry.rect.height * scale,
+    };
+}
+
+// The removed node whose ghost is under the point on the minimap, or
+// null.
+function findRemovedNodeAt(canvas, x, y) {
+    if (!canvas.bounds || !settings.showChanges || !isRootGraphShown()) return null;
+    for (let i = runDiff.removed.length - 1; i >= 0; i--) {
+        const r = getGhostRect(canvas, runDiff.removed[i]);
+        if (x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) return runDiff.removed[i];
+    }
+    return null;
+}
+
+// Highlight what changed since the last queued run: added, rewired and
+// changed nodes are outlined in their colours (a rewired node whose
+// values changed as well gets both, one inside the other), and removed
+// nodes are drawn as dashed ghosts where they used to be.
+function drawRunDiff(ctx, canvas) {
+    const colours = { added: settings.changeAddedColor, rewired: settings.changeRewiredColor, changed: settings.changeValueColor };
+    ctx.lineWidth = 2;
+    for (const [id, change] of runDiff.changes) {
+        const r = canvas.nodeRectsById?.get(id);
+        if (!r) continue;
+        change.kinds.forEach((kind, index) => {
+            const inset = 1 + index * 2.5;
+            ctx.strokeStyle = colours[kind];
+            ctx.strokeRect(r.x + inset, r.y + inset, Math.max(0, r.w - inset * 2), Math.max(0, r.h - inset * 2));
+        });
+    }
+    ctx.strokeStyle = settings.changeRemovedColor;
+    ctx.fillStyle = settings.changeRemovedColor;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash?.([3, 2]);
+    for (const entry of runDiff.removed) {
+        const r = getGhostRect(canvas, entry);
+        ctx.globalAlpha = 0.15;
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+        ctx.globalAlpha = 1;
+        ctx.strokeRect(r.x, r.y, r.w, r.h);
+    }
+    ctx.setLineDash?.([]);
+}
+
+// Length in pixels of the long side of an exported overview at 1x
+// resolution.  The other side follows the workflow's aspect ratio.
+const EXPORT_BASE_SIZE = 1000;
+
+// Options of the export panel: the resolution multiplier and whether image
+// previews and the viewport rectangle are included.
+const exportOptions = { resolution: 2, previews: true, viewport: false };
+
+// Size of an exported overview at 1x resolution, fitted to the graph's
+// aspect ratio including the padding drawGraph() leaves around it.
+function getExportSize(bounds) {
+    const aspect = (bounds.height + 200) / (bounds.width + 200);
+    return aspect <= 1
+        ? { width: EXPORT_BASE_SIZE, height: Math.max(1, Math.round(EXPORT_BASE_SIZE * aspect)) }
+        : { width: Math.max(1, Math.round(EXPORT_BASE_SIZE / aspect)), height: EXPORT_BASE_SIZE };
+}
+
+// Wait for the preview thumbnails an export will draw to be loaded, so
+// images the minimap has not shown yet are included too.
+async function loadExportPreviews(graph, options) {
+    if (!options.previews || getActiveDisplayMode()?.hidePreviews) return;
+    await Promise.all(graph._nodes.flatMap(node => getNodePreviewSources(node).map(loadPreviewThumbnail)));
+}
+
+// Render the workflow overview to a PNG exactly as the minimap draws it,
+// including the state of the current run, and download it.
+async function exportPng(options) {
+    const graph = getActiveGraph();
+    const bounds = graph && getGraphBounds(graph);
+    if (!graph || (graph._nodes.length === 0 && graph._groups.length === 0)) return;
+    await loadExportPreviews(graph, options);
+    const { width, height } = getExportSize(bounds);
+    const canvas = document.createElement("canvas");
+    canvas.width = width * options.resolution;
+    canvas.height = height * options.resolution;
+    const ctx = canvas.getContext("2d");
+    if (!ctx) throw new Error("the browser could not create an image of this size");
+    ctx.setTransform(options.resolution, 0, 0, options.resolution, 0, 0);
+    const drawn = drawGraph(ctx, graph, width, height, { previews: options.previews });
+    drawExecutionState(ctx, drawn.nodeRects, drawn.groupRects);
+    const mode = getActiveDisplayMode();
+    if (mode?.legend && settings.showLegend) callExtension(mode.legend, ctx, { graph, width, height, scale: drawn.scale, bounds: drawn.bounds }, drawn.modeContext);
+    if (options.viewport) drawViewportRectangle(ctx, drawn.bounds, drawn.scale);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+    if (!blob) throw new Error("the image could not be encoded");
+    downloadBlob(blob, `${getExportName()}.png`);
+}
+
+// Build a vector SVG of the workflow overview in graph coordinates:
+// groups with their titles, links following the canvas link mode, nodes
+// with their titles and state colours, optionally the image previews and
+// the viewport rectangle.  Then download it.
+async function exportSvg(options) {
+    const graph = getActiveGraph();
+    const bounds = graph && getGraphBounds(graph);
+    if (!graph || (graph._nodes.length === 0 && graph._groups.length === 0)) return;
+    await loadExportPreviews(graph, options);
+    const { width, height } = getExportSize(bounds);
+    const theme = getThemeColours();
+    const { running, executed, cached } = executionState;
+    const parts = [];
+    // Every attribute value is escaped: colours and even positions come
+    // from the workflow, which may have been written by anyone
+    const element = (name, attrs, content) => {
+        const attributes = Object.entries(attrs).map(([key, value]) => `${key}="${escapeXml(value)}"`).join(" ");
+        parts.push(content == null ? `<${name} ${attributes}/>` : `<${name} ${attributes}>${escapeXml(content)}</${name}>`);
+    };
+    const rect = (x, y, w, h, attrs) => element("rect", { x, y, width: w, height: h, ...attrs });
+    const text = (x, y, size, value) => element("text", { x, y, "font-family": "sans-serif", "font-size": size, fill: "#ddd" }, value);
+    rect(bounds.left - 100, bounds.top - 100, bounds.width + 200, bounds.height + 200, { fill: theme.background });
+
+    for (const group of graph._groups) {
+        rect(group.pos[0], group.pos[1], group.size[0], group.size[1], { fill: group.color || "#ccc", "fill-opacity": 0.35 });
+        const fontSize = group.font_size || 24;
+        text(group.pos[0] + 8, group.pos[1] + fontSize + 4, fontSize, group.title || "Group");
+    }
+
+    const linkMode = getLinkRenderMode();
+    if (settings.showLinks && linkMode !== "hidden") forEachLink(graph, link => {
+        const points = getLinkPoints(graph, link);
+        if (!points) return;
+        const path = createSvgPath();
+        traceLinkPath(path, points, linkMode, 1);
+        element("path", { d: path.d, fill: "none", stroke: getLinkColor(link), "stroke-width": 3 });
+    });
+
+    const mode = getActiveDisplayMode();
+    const modeContext = mode ? callExtension(mode.prepare, graph) : undefined;
+    for (const node of graph._nodes) {
+        const r = getNodeGraphRect(node);
+        const id = String(node.id);
+        const style = getNodeStyle(node, mode, modeContext, theme);
+        rect(r.x, r.y, r.width, r.height, { rx: 6, fill: style.fill });
+        if (options.previews && !mode?.hidePreviews && !node.flags?.collapsed) {
+            const thumbnail = getNodePreviewSources(node).map(getPreviewThumbnail).find(Boolean);
+            if (thumbnail) {
+                element("image", {
+                    x: r.x, y: r.y + NODE_TITLE_HEIGHT, width: r.width, height: r.height - NODE_TITLE_HEIGHT,
+                    preserveAspectRatio: "xMidYMid meet", href: thumbnail.toDataURL("image/png"),
+                });
+            }
+        }
+        if (cached.has(id)) rect(r.x, r.y, r.width, r.height, { rx: 6, fill: settings.cachedColor });
+        else if (executed.has(id)) rect(r.x, r.y, r.width, r.height, { rx: 6, fill: settings.finishedColor });
+        if (style.outline) rect(r.x, r.y, r.width, r.height, { rx: 6, fill: "none", stroke: style.outline, "stroke-width": style.outlineWidth * 2 });
+        if (running === id) rect(r.x, r.y, r.width, r.height, { rx: 6, fill: "none", stroke: settings.executingColor, "stroke-width": 4 });
+        text(r.x + 8, r.y + 20, 14, node.title || node.type);
+    }
+
+    const viewport = options.viewport && getViewportRect();
+    if (viewport) {
+        rect(viewport.x, viewport.y, viewport.width, viewport.height, { fill: "none", stroke: settings.viewportColor, "stroke-width": 4 });
+    }
+
+    const viewBox = `${bounds.left - 100} ${bounds.top - 100} ${bounds.width + 200} ${bounds.height + 200}`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${escapeXml(width * options.resolution)}" height="${escapeXml(height * options.resolution)}" viewBox="${escapeXml(viewBox)}">\n` +
+        parts.join("\n") + "\n</svg>\n";
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `${getExportName()}.svg`);
+}
+
+// A path recorder with the subset of the canvas path API that
+// traceLinkPath() uses, producing SVG path data in `d`.
+function createSvgPath() {
+    const round = (v) => Math.round(v * 100) / 100;
+    return {
+        d: "",
+        moveTo(x, y) { this.d += `M${round(x)} ${round(y)}`; },
+        lineTo(x, y) { this.d += `L${round(x)} ${round(y)}`; },
+        bezierCurveTo(ax, ay, bx, by, x, y) { this.d += `C${round(ax)} ${round(ay)} ${round(bx)} ${round(by)} ${round(x)} ${round(y)}`; },
+    };
+}
+
+// Escape text for use in SVG markup.
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Base file name for exports: the open workflow's name when known.
+function getExportName() {
+    const workflow = window.app?.extensionManager?.workflow?.activeWorkflow ?? window.app?.workflowManager?.activeWorkflow;
+    const name = workflow?.filename ?? workflow?.name;
+    return name ? `${String(name).replace(/\.json$/i, "")}-overview` : "workflow-overview";
+}
+
+// Offer a blob to the user as a file download.
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Fill the export panel with its options and the PNG and SVG buttons.
+function buildExportPanel() {
+    const { header, body } = minimapDiv.exportPanel;
+    header.textContent = "⤓ Export overview";
+    const row = () => {
+        const div = document.createElement("div");
+        Object.assign(div.style, { display: "flex", alignItems: "center", gap: "6px", padding: "2px 6px" });
+        body.appendChild(div);
+        return div;
+    };
+
+    const resolutionRow = row();
+    resolutionRow.append("Resolution");
+    const resolution = document.createElement("select");
+    for (const factor of [1, 2, 4]) {
+        const option = document.createElement("option");
+        option.value = String(factor);
+        option.textContent = `${factor}×`;
+        resolution.appendChild(option);
+    }
+    resolution.value = String(exportOptions.resolution);
+    resolution.addEventListener("change", () => { exportOptions.resolution = Number(resolution.value); });
+    resolutionRow.appendChild(resolution);
+
+    for (const [key, label] of [["previews", "Image previews"], ["viewport", "Viewport rectangle"]]) {
+        const checkboxRow = document.createElement("label");
+        Object.assign(checkboxRow.style, { display: "flex", alignItems: "center", gap: "6px", padding: "2px 6px" });
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = exportOptions[key];
+        checkbox.addEventListener("change", () => { exportOptions[key] = checkbox.checked; });
+        checkboxRow.append(checkbox, label);
+        body.appendChild(checkboxRow);
+    }
+
+    const buttonRow = row();
+    // Why the last export failed, if it did
+    const status = row();
+    Object.assign(status.style, { display: "none", color: "#f87171" });
+    for (const [label, exporter] of [["PNG", exportPng], ["SVG", exportSvg]]) {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.addEventListener("click", () => {
+            button.disabled = true;
+            status.style.display = "none";
+            exporter(exportOptions)
+                .catch((error) => {
+                    console.error("Minimap export failed:", error);
+                    status.textContent = `${label} export failed: ${error?.message ?? error}`;
+                    status.style.display = "flex";
+                })
+                .finally(() => {
+                    button.disabled = false;
+                });
+        });
+        buttonRow.appendChild(button);
+    }
+}
+
+// Create the floating tooltip shown when hovering node boxes.  It lives on
+// the document body rather than inside the minimap so it can be placed in
+// window coordinates anywhere on screen.
+function createTooltip() {
+    const tooltip = document.createElement("div");
+    Object.assign(tooltip.style, {
+        position: "fixed",
+        zIndex: 1001,
+        display: "none",
+        pointerEvents: "none",
+        padding: "4px 6px",
+        borderRadius: "4px",
+        border: "1px solid var(--border-color)",
+        backgroundColor: "var(--comfy-menu-bg)",
+        color: "var(--fg-color)",
+        font: "11px sans-serif",
+        whiteSpace: "pre",
+    });
+    document.body.appendChild(tooltip);
+    return tooltip;
+}
+
+// Show the tooltip with one line per entry of `lines` next to the mouse.
+// It is placed below-right of the pointer and flipped to the other side
+// of the pointer when it would run off the window, so it always stays
+// inside the viewport.
+function showTooltip(lines, clientX, clientY) {
+    if (!tooltipDiv) return;
+    tooltipDiv.textContent = lines.join("\n");
+    tooltipDiv.style.display = "block";
+    const offset = 12;
+    const edge = 4;
+    const width = tooltipDiv.offsetWidth || 0;
+    const height = tooltipDiv.offsetHeight || 0;
+    let left = clientX + offset;
+    let top = clientY + offset;
+    if (left + width > window.innerWidth - edge) left = clientX - offset - width;
+    if (top + height > window.innerHeight - edge) top = clientY - offset - height;
+    tooltipDiv.style.left = clamp(left, edge, Math.max(edge, window.innerWidth - width - edge)) + "px";
+    tooltipDiv.style.top = clamp(top, edge, Math.max(edge, window.innerHeight - height - edge)) + "px";
+}
+
+function hideTooltip() {
+    if (tooltipDiv) tooltipDiv.style.display = "none";
+}
+
+// Describe the execution time of a node for the tooltip.  Returns no
+// lines for nodes that haven't been timed, except in heatmap mode where
+// the absence of data is worth pointing out.
+function describeNodeTiming(node) {
+    const timing = getNodeTiming(node.id);
+    if (!timing) return settings.displayMode === "heatmap" ? ["No timing data yet"] : [];
+    const lines = [`Last run: ${formatDuration(timing.last)}`];
+    if (timing.runs > 1) {
+        lines.push(`Average of ${timing.runs} runs: ${formatDuration(timing.average)}`);
+    }
+    return lines;
+}
+
+// Describe the state of a node for the tooltip: bypass and error flags
+// plus its part in the current run.
+function describeNodeState(node) {
+    const id = String(node.id);
+    const lines = [];
+    if (isNodeBypassed(node)) lines.push("Bypassed");
+    for (const message of nodeErrors.entries.get(id)?.messages || []) {
+        lines.push(`Error: ${message}`);
+    }
+    if (settings.showLint) {
+        for (const message of lintState.reasons.get(id) || []) lines.push(`Lint: ${message}`);
+    }
+    if (settings.showChanges && isRootGraphShown()) lines.push(...(runDiff.changes.get(id)?.messages || []));
+    const { running, progress, executed, cached } = executionState;
+    if (running === id) {
+        lines.push(progress && progress.max > 0 ? `Executing (${progress.value}/${progress.max})` : "Executing");
+    } else if (cached.has(id)) {
+        lines.push("Cached");
+    } else if (executed.has(id)) {
+        lines.push("Finished");
+    }
+    return lines;
+}
+
+// Build the tooltip for whatever is under the point on the minimap: the
+// topmost node, or failing that the topmost group.  Returns null over
+// empty space.
+function describeItemAt(miniCanvas, x, y) {
+    const node = findNodeAt(miniCanvas, x, y);
+    if (node) {
+        return [
+            node.title || node.type,
+            `${node.type} · #${node.id}`,
+            ...describeNodeState(node),
+            ...describeNodeTiming(node),
+        ];
+    }
+    const removed = findRemovedNodeAt(miniCanvas, x, y);
+    if (removed) return [removed.title, `${removed.type} · #${removed.id}`, "Removed since the last run"];
+    const group = findGroupAt(miniCanvas, x, y);
+    const graph = getActiveGraph();
+    if (group && graph) {
+        return [group.title || "Group", describeGroupStats(getGroupStats(getGroupNodes(graph, group)))];
+    }
+    return null;
+}
+
+// Show a tooltip describing the node or group under the pointer.  Hidden
+// while a mouse button is held so it doesn't get in the way of panning.
+function setupHover(miniCanvas) {
+    miniCanvas.addEventListener("pointermove", (event) => {
+        // Touch has no hover, and a finger would cover the tooltip anyway.
+        // A faded-out minimap shows nothing to explain.
+        if (event.buttons !== 0 || event.pointerType === "touch" || !miniCanvas.bounds || !isMiniMapVisible()) {
+            hideTooltip();
+            return;
+        }
+        const point = getMinimapPoint(miniCanvas, event);
+        const lines = describeItemAt(miniCanvas, point.x, point.y);
+        if (lines) {
+            showTooltip(lines, event.clientX, event.clientY);
+        } else {
+            hideTooltip();
+        }
+    });
+    miniCanvas.addEventListener("pointerleave", hideTooltip);
+}
+
+// Score how well `query` matches `text`, or return null for no match.
+// A plain substring match scores highest, more so at the start of the
+// text or of a word.  Otherwise the query's characters must appear in
+// order (e.g. "ksadv" matches "KSamplerAdvanced"), scoring lower the more
+// they are spread out.  Both strings are expected in lower case.
+function fuzzyScore(query, text) {
+    if (!query || !text) return null;
+    const index = text.indexOf(query);
+    if (index === 0) return 3;
+    if (index > 0) return /[\s_\-.:/]/.test(text[index - 1]) ? 2.5 : 2;
+    let pos = 0;
+    let gaps = 0;
+    for (const ch of query) {
+        const found = text.indexOf(ch, pos);
+        if (found < 0) return null;
+        gaps += found - pos;
+        pos = found + 1;
+    }
+    return 1 / (1 + gaps / query.length);
+}
+
+// Score a node against the search query using its title, type and widget
+// values, weighting title matches above type and widget matches.
+function scoreNode(node, query) {
+    let best = null;
+    const consider = (text, weight) => {
+        if (text == null) return;
+        const score = fuzzyScore(query, String(text).slice(0, 200).toLowerCase());
+        if (score != null && (best == null || score * weight > best)) best = score * weight;
+    };
+    consider(node.title, 1);
+    consider(node.type, 0.9);
+    for (const widget of node.widgets || []) {
+        if (typeof widget?.value === "string" || typeof widget?.value === "number") {
+            consider(widget.value, 0.7);
+        }
+    }
+    return best;
+}
+
+// Recompute the search matches for `query`, best first.  The current
+// match is kept if it still matches so cycling isn't reset by unrelated
+// graph edits.  Nothing is redrawn when the matches come out the same.
+function updateSearchMatches(query) {
+    const graph = getActiveGraph();
+    const trimmed = query.trim().toLowerCase();
+    const current = searchState.matches[searchState.index];
+    let matches = [];
+    if (trimmed && graph) {
+        matches = graph._nodes
+            .map(node => ({ node, score: scoreNode(node, trimmed) }))
+            .filter(entry => entry.score != null)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.node);
+    }
+    if (trimmed === searchState.query && matches.length === searchState.matches.length &&
+        matches.every((node, i) => node === searchState.matches[i])) return;
+    searchState.query = trimmed;
+    searchState.matches = matches;
+    searchState.index = current ? matches.indexOf(current) : -1;
+    searchState.version++;
+    updateSearchCount();
+    requestMiniMapFrame();
+}
+
+// Move to the next (step 1) or previous (step -1) match and pan the main
+// canvas to centre it.
+function cycleSearchMatch(step) {
+    const count = searchState.matches.length;
+    if (count === 0) return;
+    searchState.index = searchState.index < 0
+        ? (step > 0 ? 0 : count - 1)
+        : (searchState.index + step + count) % count;
+    const rect = getNodeGraphRect(searchState.matches[searchState.index]);
+    centerMainCanvasOn(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    searchState.version++;
+    updateSearchCount();
+    requestMiniMapFrame();
+}
+
+// Show "current/total" next to the search field, or nothing when empty.
+function updateSearchCount() {
+    const label = minimapDiv?.searchCount;
+    if (!label) return;
+    const count = searchState.matches.length;
+    if (!searchState.query) {
+        label.textContent = "";
+    } else if (searchState.index >= 0) {
+        label.textContent = `${searchState.index + 1}/${count}`;
+    } else {
+        label.textContent = String(count);
+    }
+}
+
+// Wire up the search field.  Typing updates the matches live; Enter and
+// Shift+Enter cycle through them and Escape clears the search.  Key
+// presses are kept from reaching ComfyUI's own shortcuts.
+function setupSearch(minimapDiv) {
+    const input = minimapDiv.searchInput;
+    input.addEventListener("input", () => {
+        updateSearchMatches(input.value);
+        lastActivityTime = Date.now();
+    });
+    input.addEventListener("keydown", (event) => {
+        event.stopPropagation();
+        showMiniMap();
+        if (event.key === "Enter") {
+            event.preventDefault();
+            cycleSearchMatch(event.shiftKey ? -1 : 1);
+        } else if (event.key === "Escape") {
+            event.preventDefault();
+            input.value = "";
+            updateSearchMatches("");
+            input.blur();
+        }
+    });
+    // Show the minimap if it had faded, and keep it from fading out
+    // while the user is typing
+    input.addEventListener("focus", () => {
+        showMiniMap();
+    });
+}
+
+// The node or group that a press at the point would move in edit mode:
+// the topmost node box, or failing that the topmost group.  Returns
+// { node } or { group }, or null over empty space.
+function findEditTarget(miniCanvas, x, y) {
+    const node = findNodeAt(miniCanvas, x, y);
+    if (node) return { node };
+    const group = findGroupAt(miniCanvas, x, y);
+    return group ? { group } : null;
+}
+
+// Move nodes and groups by dragging them on the minimap while edit mode
+// is on.  Mouse movement is converted to graph units with the inverse of
+// the minimap scale, so items follow the pointer exactly.  A group carries
+// the nodes inside it.  The move is wrapped in the graph's
+// beforeChange()/afterChange() pair and reported to the change tracker so
+// it can be undone like a move on the main canvas.
+function setupEditDrag(miniCanvas) {
+    let drag = null;
+
+    const onMove = (event) => {
+        const point = getMinimapPoint(miniCanvas, event);
+        const dx = (point.x - drag.startMouse.x) / drag.scale;
+        const dy = (point.y - drag.startMouse.y) / drag.scale;
+        if (!drag.moved) {
+            if (Math.hypot(point.x - drag.startMouse.x, point.y - drag.startMouse.y) < 2) return;
+            drag.moved = true;
+            drag.graph.beforeChange?.();
+        }
+        for (const { item, start } of drag.items) {
+            item.pos[0] = start[0] + dx;
+            item.pos[1] = start[1] + dy;
+        }
+        window.app.canvas.setDirty(true, true);
+        // Show the new position straight away rather than at the next poll
+        checkGraphChanged();
+        lastActivityTime = Date.now();
+    };
+    const onUp = () => {
+        document.removeEventListener("pointermove", onMove);
+        document.removeEventListener("pointerup", onUp);
+        document.removeEventListener("pointercancel", onUp);
+        if (drag.moved) {
+            for (const { item } of drag.items) {
+                if (item !== drag.group) window.app.canvas.onNodeMoved?.(item);
+            }
+            drag.graph.afterChange?.();
+            notifyGraphChanged();
+        }
+        drag = null;
+        miniCanvas.style.cursor = "";
+    };
+
+    miniCanvas.addEventListener("pointerdown", (event) => {
+        if (!editMode || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || !miniCanvas.bounds) return;
+        const graph = getActiveGraph();
+        const point = getMinimapPoint(miniCanvas, event);
+        const target = graph && findEditTarget(miniCanvas, point.x, point.y);
+        if (!target) return;
+        const items = target.node ? [target.node] : [target.group, ...getGroupNodes(graph, target.group)];
+        drag = {
+            graph,
+            group: target.group,
+            startMouse: point,
+            scale: miniCanvas.scale,
+            items: items.map(item => ({ item, start: [item.pos[0], item.pos[1]] })),
+            moved: false,
+        };
+        miniCanvas.style.cursor = "grabbing";
+        document.addEventListener("pointermove", onMove);
+        document.addEventListener("pointerup", onUp);
+        document.addEventListener("pointercancel", onUp);
+        event.preventDefault();
+    });
+
+    // Show a move cursor over items that can be dragged
+    miniCanvas.addEventListener("pointermove", (event) => {
+        if (drag) return;
+        const point = getMinimapPoint(miniCanvas, event);
+        miniCanvas.style.cursor = editMode && findEditTarget(miniCanvas, point.x, point.y) ? "move" : "";
+    });
+}
+
+// Tell ComfyUI the workflow was modified from the minimap, so the change
+// tracker records an undo step and marks the workflow as unsaved.
+function notifyGraphChanged() {
+    const workflow = window.app?.extensionManager?.workflow?.activeWorkflow ?? window.app?.workflowManager?.activeWorkflow;
+    workflow?.changeTracker?.checkState?.();
+    getActiveGraph()?.setDirtyCanvas?.(true, true);
+}
+
+// Select nodes in the main canvas from the minimap.  Shift-dragging draws
+// a rubber band and selects the nodes entirely inside it when released
+// (adding to the selection when Ctrl is held too); Ctrl-clicking a node box
+// toggles that node in the selection.  The band follows the pointer on the
+// whole document so it can be dragged to the minimap's edges.
+function setupSelection(miniCanvas) {
+    const toPoint = (event) => {
+        const point = getMinimapPoint(miniCanvas, event);
+        const width = miniCanvas.displayWidth || miniCanvas.width;
+        const height = miniCanvas.displayHeight || miniCanvas.height;
+        return { x: clamp(point.x, 0, width), y: clamp(point.y, 0, height) };
+    };
+    const onMove = (event) => {
+        const point = toPoint(event);
+        selection.band.x1 = point.x;
+        selection.band.y1 = point.y;
+        requestMiniMapFrame();
+    };
+    // Drop the band and its listeners
+    const endBand = () => {
+        document.removeEventListener("pointermove", onMove);
+        document.removeEventListener("pointerup", onUp);
+        document.removeEventListener("pointercancel", onCancel);
+        miniCanvas.removeEventListener("lostpointercapture", onCancel);
+        const band = selection.band;
+        selection.band = null;
+        return band;
+    };
+    // A cancelled gesture (touch, pen, an OS gesture taking over) selects
+    // nothing
+    const onCancel = () => {
+        endBand();
+        requestMiniMapFrame();
+    };
+    const onUp = (event) => {
+        const band = endBand();
+        if (!band) return;
+        const left = Math.min(band.x0, band.x1);
+        const right = Math.max(band.x0, band.x1);
+        const top = Math.min(band.y0, band.y1);
+        const bottom = Math.max(band.y0, band.y1);
+        const nodes = (miniCanvas.nodeRects || [])
+            .filter(r => r.x >= left && r.x + r.w <= right && r.y >= top && r.y + r.h <= bottom)
+            .map(r => r.node);
+        selectCanvasNodes(nodes, event.ctrlKey || event.metaKey);
+        requestMiniMapFrame();
+    };
+
+    miniCanvas.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0 || !miniCanvas.bounds) return;
+        if (event.shiftKey) {
+            const point = toPoint(event);
+            selection.band = { x0: point.x, y0: point.y, x1: point.x, y1: point.y };
+            document.addEventListener("pointermove", onMove);
+            document.addEventListener("pointerup", onUp);
+            document.addEventListener("pointercancel", onCancel);
+            miniCanvas.addEventListener("lostpointercapture", onCancel);
+            event.preventDefault();
+        } else if (event.ctrlKey || event.metaKey) {
+            const point = getMinimapPoint(miniCanvas, event);
+            const node = findNodeAt(miniCanvas, point.x, point.y);
+            if (node) toggleCanvasNodeSelection(node);
+            event.preventDefault();
+        }
+    });
+}
+
+// Select nodes in the main canvas, replacing the selection unless `add` is
+// set.  Uses whichever selection API the LiteGraph version provides.
+function selectCanvasNodes(nodes, add) {
+    const canvas = window.app?.canvas;
+    if (!canvas) return;
+    if (!add) {
+        if (typeof canvas.deselectAll === "function") canvas.deselectAll();
+        else canvas.deselectAllNodes?.();
+    }
+    if (nodes.length > 0) {
+        if (typeof canvas.selectNodes === "function") {
+            canvas.selectNodes(nodes, true);
+        } else {
+            for (const node of nodes) canvas.select?.(node);
+        }
+    }
+    canvas.setDirty(true, true);
+}
+
+// Add a node to the main canvas selection, or remove it if it is already
+// selected.
+function toggleCanvasNodeSelection(node) {
+    const canvas = window.app?.canvas;
+    if (!canvas) return;
+    const selected = getSelectedNodes().includes(node);
+    if (selected) {
+        if (typeof canvas.deselectNode === "function") canvas.deselectNode(node);
+        else canvas.deselect?.(node);
+    } else if (typeof canvas.selectNode === "function") {
+        canvas.selectNode(node, true);
+    } else {
+        canvas.select?.(node);
+    }
+    canvas.setDirty(true, true);
+}
+
+// Let the user move the minimap by its drag handle.  While dragging, the
+// container follows the pointer freely; on release it snaps to a window
+// corner if dropped within SNAP_DISTANCE of one, otherwise it stays
+// floating at the drop position.  The result is saved as a setting.
+function setupWindowDrag(minimapDiv) {
+    const handle = minimapDiv.dragHandle;
+    let dragging = false;
+    let startMouse = { x: 0, y: 0 };
+    let startRect = null;
+
+    handle.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0) return;
+        dragging = true;
+        startMouse = { x: event.clientX, y: event.clientY };
+        startRect = minimapDiv.getBoundingClientRect();
+        event.preventDefault();
+        event.stopPropagation();
+    });
+
+    listen(document, "pointermove", (event) => {
+        if (!dragging) return;
+        const left = clamp(startRect.left + event.clientX - startMouse.x, 0, window.innerWidth - startRect.width);
+        const top = clamp(startRect.top + event.clientY - startMouse.y, 0, window.innerHeight - startRect.height);
+        minimapDiv.style.right = minimapDiv.style.bottom = "";
+        minimapDiv.style.left = left + "px";
+        minimapDiv.style.top = top + "px";
+        lastActivityTime = Date.now();
+    });
+
+    listen(document, "pointerup", () => {
+        if (!dragging) return;
+        dragging = false;
+        const rect = minimapDiv.getBoundingClientRect();
+        const corner = findSnapCorner(rect);
+        if (corner) {
+            saveSetting("corner", corner);
+        } else {
+            // Save the position before switching to floating so the
+            // minimap does not briefly jump to the previous position
+            saveSetting("floatX", Math.round(rect.left));
+            saveSetting("floatY", Math.round(rect.top));
+            saveSetting("corner", "floating");
+        }
+    });
+}
+
+// Return the window corner ("top-left", ...) that a minimap occupying
+// `rect` should snap to, or null if it is not close enough to any corner.
+function findSnapCorner(rect) {
+    const distances = {
+        top: rect.top,
+        bottom: window.innerHeight - rect.bottom,
+        left: rect.left,
+        right: window.innerWidth - rect.right,
+    };
+    const vertical = distances.top <= distances.bottom ? "top" : "bottom";
+    const horizontal = distances.left <= distances.right ? "left" : "right";
+    if (distances[vertical] > SNAP_DISTANCE || distances[horizontal] > SNAP_DISTANCE) return null;
+    return `${vertical}-${horizontal}`;
+}
+
+// Let the user resize the minimap with the grip in its free corner.  The
+// opposite (docked) corner stays put while the size follows the pointer.
+// The canvas is re-laid out on every move so the backing store always
+// matches the visible size, and the final size is saved on release.
+function setupResize(minimapDiv, minimapCanvas) {
+    const handle = minimapDiv.resizeHandle;
+    let resizing = false;
+    let startMouse = { x: 0, y: 0 };
+    let startSize = { width: 0, height: 0 };
+    let startRect = null;
+
+    handle.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0) return;
+        resizing = true;
+        startMouse = { x: event.clientX, y: event.clientY };
+        startSize = { width: settings.width, height: settings.height };
+        startRect = minimapDiv.getBoundingClientRect();
+        event.preventDefault();
+        event.stopPropagation();
+    });
+
+    listen(document, "pointermove", (event) => {
+        if (!resizing) return;
+        const [vertical, horizontal] = handle.resizeCorner;
+        const dx = (event.clientX - startMouse.x) * (horizontal === "left" ? -1 : 1);
+        const dy = (event.clientY - startMouse.y) * (vertical === "top" ? -1 : 1);
+        settings.width = Math.round(Math.max(MIN_MINIMAP_WIDTH, startSize.width + dx));
+        settings.height = Math.round(Math.max(MIN_MINIMAP_HEIGHT, startSize.height + dy));
+        if (settings.corner === "floating") {
+            // A floating minimap grows from its top-left corner
+            settings.floatX = Math.round(startRect.left);
+            settings.floatY = Math.round(startRect.top);
+        }
+        layoutMiniMap(minimapDiv, minimapCanvas, settings);
+        // Redraw straight away: resizing the canvas has cleared it
+        const graph = getActiveGraph();
+        if (graph) renderMiniMap(graph, minimapCanvas);
+        lastActivityTime = Date.now();
+    });
+
+    listen(document, "pointerup", () => {
+        if (!resizing) return;
+        resizing = false;
+        saveSetting("width", settings.width);
+        saveSetting("height", settings.height);
+    });
+}
+
+// Keep the layout in sync with the window: a resize may push a floating
+// minimap off screen, and moving between monitors or zooming the page
+// changes devicePixelRatio, which requires a new canvas backing store.
+function setupLayoutWatchers() {
+    listen(window, "resize", applySettings);
+    const watchPixelRatio = () => {
+        const query = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        if (query?.addEventListener) listen(query, "change", () => {
+            applySettings();
+            watchPixelRatio();
+        }, { once: true });
+    };
+    watchPixelRatio();
+}
+
+// Set up activity listeners on the main canvas so that the minimap shows
+// whenever the user interacts with the graph.  This resets the
+// lastActivityTime counter and restores full opacity.  A timer checks
+// periodically whether the fade delay has elapsed and hides the minimap,
+// unless it was pinned with the shortcut (see setupVisibilityKeys()).
+function setupFadeBehaviour(minimapDiv) {
+    const hideIfInactive = () => {
+        if (!settings.fadeEnabled || visibilityMode !== "auto") return;
+        // Stay visible while the search field or the minimap has focus
+        if (minimapDiv.contains(document.activeElement)) return;
+        const elapsed = Date.now() - lastActivityTime;
+        if (elapsed > settings.fadeDelay) {
+            minimapDiv.style.opacity = 0;
+        }
+    };
+    const mainCanvas = document.querySelector("canvas");
+    if (!mainCanvas) return;
+    ["wheel", "pointerdown", "pointermove", "pointerup", "pointerout"].forEach(evt => {
+        listen(mainCanvas, evt, showMiniMap);
+    });
+    // Periodically check for inactivity
+    const timer = setInterval(hideIfInactive, 500);
+    disposers.push(() => clearInterval(timer));
+}
+
+// Fade the minimap back in after activity, unless it was hidden with the
+// shortcut.  Catches up on changes missed while it was faded out and
+// restarts the frames.
+function showMiniMap() {
+    if (!minimapDiv || visibilityMode === "hidden") return;
+    const wasHidden = !isMiniMapVisible();
+    minimapDiv.style.opacity = settings.opacity;
+    lastActivityTime = Date.now();
+    if (wasHidden) checkGraphChanged();
+    requestMiniMapFrame();
+}
+
+// Switch between fading with inactivity ("auto"), staying visible
+// ("pinned") and staying hidden ("hidden").
+function setVisibilityMode(mode) {
+    if (!minimapDiv) return;
+    const previous = visibilityMode;
+    visibilityMode = mode;
+    minimapDiv.style.display = mode === "hidden" ? "none" : "";
+    if (mode === "hidden") {
+        hideTooltip();
+        return;
+    }
+    showMiniMap();
+    checkGraphChanged();
+    announce(mode === "pinned" ? "Minimap pinned" : previous === "pinned" ? "Minimap unpinned" : "Minimap shown");
+}
+
+// Hide the minimap, or show it again.
+function toggleMiniMapHidden() {
+    setVisibilityMode(visibilityMode === "hidden" ? "auto" : "hidden");
+}
+
+// Pin the minimap so it no longer fades out, or unpin it.
+function toggleMiniMapPinned() {
+    setVisibilityMode(visibilityMode === "pinned" ? "auto" : "pinned");
+}
+
+// The shortcuts as ComfyUI commands: Alt+M hides and shows the minimap,
+// Alt+Shift+M pins it.  Frontends with a keybinding panel run them and let
+// users rebind them, e.g. when the frontend's own minimap wants Alt+M.
+const VISIBILITY_COMMANDS = [
+    { id: "Minimap.ToggleVisibility", label: "Minimap: hide or show", function: toggleMiniMapHidden },
+    { id: "Minimap.TogglePinned", label: "Minimap: pin or unpin", function: toggleMiniMapPinned },
+];
+const VISIBILITY_KEYBINDINGS = [
+    { combo: { key: "m", alt: true }, commandId: "Minimap.ToggleVisibility" },
+    { combo: { key: "m", alt: true, shift: true }, commandId: "Minimap.TogglePinned" },
+];
+
+// The same shortcuts for frontends without commands.  The decision waits
+// until every keydown listener has run: keys the frontend handled, through
+// the keybindings above or one of its own, are prevented by then and
+// skipped.  The physical key is checked, since Alt changes the character
+// typed on some keyboard layouts.  Keys typed into text fields are left
+// alone.
+function setupVisibilityKeys() {
+    listen(window, "keydown", (event) => {
+        if (!event.altKey || event.ctrlKey || event.metaKey || event.repeat || event.code !== "KeyM") return;
+        const target = event.target;
+        if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+        setTimeout(() => {
+            if (event.defaultPrevented) return;
+            if (event.shiftKey) toggleMiniMapPinned();
+            else toggleMiniMapHidden();
+        });
+    });
+}
+
+// Pan and zoom the main canvas from the keyboard while the minimap has
+// focus: the arrow keys pan by a tenth of the view (half of it with
+// Shift), + and - zoom around the centre of the view and 0 fits the whole
+// workflow.  Handled keys don't reach the main canvas's shortcuts.
+function setupKeyboard(miniCanvas) {
+    miniCanvas.tabIndex = 0;
+    miniCanvas.addEventListener("keydown", (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const viewport = getViewportRect();
+        const ds = window.app?.canvas?.ds;
+        const graph = getActiveGraph();
+        if (!viewport || !ds || !graph) return;
+        const centreX = viewport.x + viewport.width / 2;
+        const centreY = viewport.y + viewport.height / 2;
+        const step = event.shiftKey ? 0.5 : 0.1;
+        const pan = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[event.key];
+        if (pan) {
+            ds.offset[0] -= pan[0] * viewport.width * step;
+            ds.offset[1] -= pan[1] * viewport.height * step;
+            window.app.canvas.setDirty(true, true);
+        } else if (event.key === "+" || event.key === "=") {
+            zoomMainCanvasAround(centreX, centreY, 1.1);
+        } else if (event.key === "-" || event.key === "_") {
+            zoomMainCanvasAround(centreX, centreY, 1 / 1.1);
+        } else if (event.key === "0") {
+            const bounds = getGraphBounds(graph);
+            fitMainCanvasTo({ x: bounds.left, y: bounds.top, width: bounds.width, height: bounds.height });
+        } else {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        showMiniMap();
+        announce(describeViewport());
+    });
+}
+
+// Label the minimap for assistive technology and add a polite live region
+// through which announce() reports the viewport position (on focus and
+// after keyboard navigation) and the node that is executing.
+function setupAccessibility(minimapDiv, miniCanvas) {
+    miniCanvas.setAttribute("role", "application");
+    miniCanvas.setAttribute("aria-roledescription", "minimap");
+    miniCanvas.setAttribute("aria-label",
+        "Workflow minimap. Arrow keys pan the canvas, plus and minus zoom, 0 fits the whole workflow, " +
+        "1 to 9 recall bookmarks. " +
+        "Alt+M hides or shows the minimap, Alt+Shift+M pins it.");
+    const liveRegion = document.createElement("div");
+    liveRegion.setAttribute("role", "status");
+    liveRegion.setAttribute("aria-live", "polite");
+    // Visually hidden but still read out
+    Object.assign(liveRegion.style, {
+        position: "absolute",
+        width: "1px",
+        height: "1px",
+        overflow: "hidden",
+        clip: "rect(0 0 0 0)",
+        whiteSpace: "nowrap",
+    });
+    minimapDiv.appendChild(liveRegion);
+    minimapDiv.liveRegion = liveRegion;
+    miniCanvas.addEventListener("focus", () => {
+        // Bring a faded minimap back for keyboard users
+        showMiniMap();
+        announce(describeViewport());
+    });
+}
+
+// Read a message out through the minimap's live region.
+function announce(message) {
+    if (minimapDiv?.liveRegion && message) minimapDiv.liveRegion.textContent = message;
+}
+
+// Where the main canvas's view is in the workflow, in words: the position
+// of its centre as a percentage across and down the workflow, and the
+// zoom level.
+function describeViewport() {
+    const graph = getActiveGraph();
+    const viewport = getViewportRect();
+    const ds = window.app?.canvas?.ds;
+    if (!graph || !viewport || !ds) return "";
+    const zoom = `${Math.round(ds.scale * 100)}% zoom`;
+    const bounds = getGraphBounds(graph);
+    if (viewport.x <= bounds.left && viewport.y <= bounds.top &&
+        viewport.x + viewport.width >= bounds.left + bounds.width &&
+        viewport.y + viewport.height >= bounds.top + bounds.height) {
+        return `Showing the whole workflow at ${zoom}`;
+    }
+    const across = clamp((viewport.x + viewport.width / 2 - bounds.left) / (bounds.width || 1), 0, 1);
+    const down = clamp((viewport.y + viewport.height / 2 - bounds.top) / (bounds.height || 1), 0, 1);
+    return `Showing ${Math.round(across * 100)}% across and ${Math.round(down * 100)}% down the workflow at ${zoom}`;
+}
+
+// addEventListener that is undone by disposeMinimap().
+function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    disposers.push(() => target.removeEventListener(type, handler, options));
+}
+
+// The graph shown in the main canvas: the workflow itself, or the
+// subgraph the user has entered.  Everything the minimap draws and
+// navigates refers to this graph.
+function getActiveGraph() {
+    return window.app?.canvas?.graph ?? window.app?.graph ?? null;
+}
+
+// Whether the main canvas shows the workflow root rather than a subgraph.
+// Execution state, errors and bookmarks use ids and coordinates of the
+// root graph, so they are only shown there.
+function isRootGraphShown() {
+    const root = window.app?.graph;
+    return !root || getActiveGraph() === root;
+}
+
+// The main canvas switched to another graph object: a subgraph was
+// entered or left, or the app replaced its graph.  Drop everything that
+// was derived from the previous graph so the next check redraws from
+// scratch, and update the breadcrumb.
+function handleGraphSwitch(graph) {
+    activeGraph = graph;
+    const root = window.app?.graph;
+    const index = graphPath.indexOf(graph);
+    if (graph === root || graphPath.length === 0) {
+        graphPath = graph === root ? [graph] : [root, graph];
+    } else if (index >= 0) {
+        graphPath = graphPath.slice(0, index + 1);
+    } else {
+        graphPath.push(graph);
+    }
+    lastGraphSignature = null;
+    lineage.key = null;
+    lintState.key = null;
+    followView = null;
+    updateBreadcrumb();
+    updateErrorList();
+}
+
+// A workflow was loaded into the app's graph (opening a file, switching
+// workflow tabs, ...).  LiteGraph reuses the same graph object, so the
+// switch cannot be seen by comparing graphs; ComfyUI reports it through
+// the afterConfigureGraph hook.  Errors, output previews, run state and
+// timings belong to the previous workflow and node ids are reused, so
+// they are dropped.
+function handleWorkflowLoaded() {
+    nodeErrors.entries.clear();
+    nodeOutputImages.clear();
+    nodeTimings.history = [];
+    nodeTimings.current = null;
+    executionState.running = null;
+    executionState.progress = null;
+    executionState.executed.clear();
+    executionState.cached.clear();
+    executionState.failed = null;
+    executionState.version++;
+    runDiff.snapshot = null;
+    activeGraph = null;
+    graphPath = [];
+    nodeErrorsChanged();
+    checkGraphChanged();
+}
+
+// Show the chain of graphs from the workflow down to the subgraph shown
+// in the main canvas.  Hidden at the workflow root.  Clicking a level
+// goes back up to it.
+function updateBreadcrumb() {
+    if (!minimapDiv?.breadcrumb) return;
+    const { panel, header: breadcrumb } = minimapDiv.breadcrumb;
+    breadcrumb.replaceChildren();
+    panel.style.display = graphPath.length > 1 ? "" : "none";
+    graphPath.forEach((graph, i) => {
+        if (i > 0) breadcrumb.append(" › ");
+        const crumb = document.createElement("span");
+        crumb.textContent = i === 0 ? "Workflow" : (graph.name || "Subgraph");
+        if (i < graphPath.length - 1) {
+            crumb.style.cursor = "pointer";
+            crumb.style.textDecoration = "underline";
+            crumb.addEventListener("click", () => navigateToGraph(graph));
         } else {
-            currentExecutingNode = 0;
+            crumb.style.fontWeight = "bold";
         }
+        breadcrumb.appendChild(crumb);
     });
+}
+
+// Show another graph (the workflow root or a subgraph) in the main canvas.
+function navigateToGraph(graph) {
+    const canvas = window.app?.canvas;
+    if (!canvas?.setGraph || canvas.graph === graph) return;
+    canvas.setGraph(graph);
+    checkGraphChanged();
+}
+
+// Extract the node id from an execution event payload.  Depending on the
+// ComfyUI version the payload is either the bare id or an object; prefer
+// display_node, which names the node that is visible in the graph when the
+// executing node lives inside a group node.
+function getEventNodeId(detail) {
+    if (detail == null) return null;
+    if (typeof detail !== "object") return String(detail);
+    const id = detail.display_node ?? detail.node ?? detail.node_id;
+    return id == null ? null : String(id);
+}
+
+// Track the run state of the current prompt from ComfyUI's websocket
+// events.  "executing" with no node means the prompt has finished.  A node
+// counts as finished once the next node starts executing, since
+// "executed" is only sent for nodes that produce UI output.
+function setupExecutionEvents() {
+    const update = (fn) => (event) => {
+        fn(event.detail);
+        executionState.version++;
+    };
+    const finishRunning = () => {
+        const { running, failed } = executionState;
+        if (running != null) {
+            if (failed?.nodeId !== running) executionState.executed.add(running);
+            recordNodeTiming(running);
+        }
+        executionState.running = null;
+        executionState.progress = null;
+    };
+
+    listen(api, "execution_start", update((detail) => {
+        executionState.promptId = detail?.prompt_id ?? null;
+        executionState.running = null;
+        executionState.progress = null;
+        executionState.executed.clear();
+        executionState.cached.clear();
+        executionState.failed = null;
+        nodeTimings.current = new Map();
+    }));
+    listen(api, "execution_cached", update((detail) => {
+        for (const id of detail?.nodes || []) executionState.cached.add(String(id));
+    }));
+    listen(api, "executing", update((detail) => {
+        const nodeId = getEventNodeId(detail);
+        if (nodeId === executionState.running) return;
+        const wasRunning = executionState.running != null;
+        finishRunning();
+        executionState.running = nodeId;
+        nodeTimings.startedAt = performance.now();
+        if (nodeId == null) finishTimingRun();
+        if (nodeId != null) {
+            const node = findGraphNode(window.app?.graph, nodeId);
+            announce(`Executing ${node ? (node.title || node.type) : "node"} #${nodeId}`);
+        } else if (wasRunning) {
+            announce("Prompt finished");
+        }
+    }));
+    // Progress is always reported for the node that is executing.  The
+    // payload's node id may name the inner node of a group node rather
+    // than the displayed one, so it isn't compared.
+    listen(api, "progress", update((detail) => {
+        if (executionState.running == null || !detail) return;
+        executionState.progress = { value: Number(detail.value) || 0, max: Number(detail.max) || 0 };
+    }));
+    listen(api, "executed", update((detail) => {
+        const nodeId = getEventNodeId(detail);
+        if (nodeId == null) return;
+        executionState.executed.add(nodeId);
+        // Remember output images so the node's preview can be shown even
+        // before the front-end has loaded them
+        const images = detail?.output?.images;
+        if (Array.isArray(images)) {
+            nodeOutputImages.set(nodeId, images.map(getImageViewUrl).filter(Boolean));
+            if (settings.showPreviews) invalidateMiniMap();
+        }
+    }));
+    listen(api, "execution_error", update((detail) => {
+        const nodeId = getEventNodeId(detail);
+        executionState.failed = nodeId == null ? null : { nodeId, message: detail?.exception_message || "" };
+        finishRunning();
+        finishTimingRun();
+        if (nodeId != null) {
+            const type = detail?.exception_type ? `${detail.exception_type}: ` : "";
+            addNodeError(nodeId, [`${type}${detail?.exception_message || "Execution failed"}`.trim()]);
+            nodeErrorsChanged();
+        }
+    }));
+    listen(api, "execution_interrupted", update(() => {
+        executionState.running = null;
+        executionState.progress = null;
+        finishTimingRun();
+    }));
+}
+
+// A string describing a node's inputs: its widget values, mode and
+// connected links.  When this changes after an error was reported the user
+// has edited the node, and the error is considered fixed.
+function getNodeInputSignature(node) {
+    const parts = [node.mode];
+    for (const widget of node.widgets || []) {
+        const value = widget?.value;
+        parts.push(typeof value === "object" && value !== null ? JSON.stringify(value) : value);
+    }
+    for (const input of node.inputs || []) parts.push(input.link);
+    return parts.join("\u0001");
+}
+
+// Look up a node in the graph by id.  Ids of nodes nested in a group
+// node or subgraph are reported as "outer:inner"; those resolve to the
+// outer node, which is the one visible on the minimap.
+function findGraphNode(graph, nodeId) {
+    if (!graph || nodeId == null) return null;
+    const lookup = (id) => graph.getNodeById?.(id) ?? graph._nodes_by_id?.[id] ?? null;
+    const node = lookup(nodeId);
+    if (node) return node;
+    const outer = String(nodeId).split(":")[0];
+    return outer !== String(nodeId) ? lookup(outer) : null;
+}
+
+// Record error messages for a node, keeping any already reported.
+function addNodeError(nodeId, messages) {
+    const node = findGraphNode(window.app?.graph, nodeId);
+    const id = String(node ? node.id : nodeId);
+    const entry = nodeErrors.entries.get(id) || { messages: [], signature: "" };
+    for (const message of messages) {
+        if (message && !entry.messages.includes(message)) entry.messages.push(message);
+    }
+    entry.signature = node ? getNodeInputSignature(node) : "";
+    nodeErrors.entries.set(id, entry);
+}
+
+// Replace the errors with the node_errors of a prompt validation response.
+// Each value looks like { errors: [{ message, details }], class_type }.
+function setValidationErrors(validationErrors) {
+    nodeErrors.entries.clear();
+    for (const [nodeId, info] of Object.entries(validationErrors || {})) {
+        const messages = (info?.errors || []).map(error =>
+            error.details ? `${error.message}: ${error.details}` : error.message);
+        addNodeError(nodeId, messages.length > 0 ? messages : ["Validation failed"]);
+    }
+    nodeErrorsChanged();
+}
+
+// Drop errors of nodes that were removed or edited since the error was
+// reported.
+function pruneFixedErrors(graph) {
+    let changed = false;
+    for (const [id, entry] of nodeErrors.entries) {
+        const node = findGraphNode(graph, id);
+        if (!node || getNodeInputSignature(node) !== entry.signature) {
+            nodeErrors.entries.delete(id);
+            changed = true;
+        }
+    }
+    if (changed) nodeErrorsChanged();
+}
+
+// Redraw the minimap and error list after nodeErrors was modified.
+function nodeErrorsChanged() {
+    nodeErrors.version++;
+    invalidateMiniMap();
+    updateErrorList();
+}
+
+// Wrap api.queuePrompt so the minimap sees the validation result of every
+// queued prompt.  A successful queue clears all errors (the prompt was
+// re-queued); a rejected one carries node_errors in its response.  An
+// accepted prompt also replaces the snapshot of the last run.
+function watchPromptValidation() {
+    const queuePrompt = api.queuePrompt;
+    if (typeof queuePrompt !== "function" || originalQueuePrompt) return;
+    originalQueuePrompt = queuePrompt;
+    api.queuePrompt = async function (...args) {
+        // The workflow as queued becomes the baseline of the changes
+        // overlay once the prompt is accepted
+        const graph = window.app?.graph;
+        const snapshot = graph ? takeRunSnapshot(graph) : null;
+        try {
+            const result = await queuePrompt.apply(this, args);
+            setValidationErrors(result?.node_errors);
+            if (snapshot) setRunSnapshot(snapshot);
+            return result;
+        } catch (error) {
+            const validationErrors = error?.response?.node_errors;
+            if (validationErrors) setValidationErrors(validationErrors);
+            throw error;
+        }
+    };
+}
+
+// Record how long the node that just stopped executing took in the
+// current run.  The heatmap is redrawn since the scale may have changed.
+function recordNodeTiming(nodeId) {
+    if (!nodeTimings.current) nodeTimings.current = new Map();
+    nodeTimings.current.set(nodeId, performance.now() - nodeTimings.startedAt);
+    if (settings.displayMode === "heatmap") invalidateMiniMap();
+}
+
+// Move the timings of the run that just ended into the history, dropping
+// runs beyond the configured history length.
+function finishTimingRun() {
+    if (nodeTimings.current && nodeTimings.current.size > 0) {
+        nodeTimings.history.unshift(nodeTimings.current);
+        nodeTimings.history.length = Math.min(nodeTimings.history.length, settings.heatmapHistory);
+    }
+    nodeTimings.current = null;
+}
+
+// Setup execution event listeners and instantiate the minimap
+function initializeMinimap() {
+    if (minimapDiv) return;
+    // Listen for execution events so we can show the run state
+    setupExecutionEvents();
     // Build the DOM elements for the minimap
-    const settings = {
-        // Adjust minimap dimensions so it remains compact while still
-        // providing enough room for previews.  These values were chosen
-        // to better balance size against the surrounding UI elements.
-        width: 300,
-        height: 182,
-        margin: 10,
-        opacity: 1,
-    };
-    const { minimapDiv, minimapCanvas } = createMiniMapCanvas(settings);
-    // Render loop: redraw the minimap at a low frequency so it stays up
-    // to date without consuming too many resources
-    const render = () => {
-        if (window.app && window.app.graph) {
-            renderMiniMap(window.app.graph, minimapCanvas);
-        }
-    };
-    render();
-    setInterval(render, 250);
+    ({ minimapDiv, minimapCanvas } = createMiniMapCanvas(settings));
+    // Path to the subgraph shown in the main canvas, next to the minimap
+    minimapDiv.breadcrumb = createPanel(minimapDiv);
+    minimapDiv.breadcrumb.header.style.fontWeight = "normal";
+    minimapDiv.breadcrumb.header.style.cursor = "default";
+    // Change detection and frame loop: the minimap only redraws when the
+    // graph or the view actually changes
+    startRenderLoop();
     // Enable panning via drag gestures on the minimap
     setupDrag(minimapCanvas);
-    // Fade in/out based on user activity
+    // Selecting nodes with Shift-drag and Ctrl-click
+    setupSelection(minimapCanvas);
+    // Moving nodes and groups in edit mode
+    setupEditDrag(minimapCanvas);
+    const editButton = addToolbarButton(minimapDiv, "✎", "Edit mode: drag nodes and groups on the minimap to move them", () => {
+        editMode = !editMode;
+        setToolbarButtonActive(editButton, editMode);
+    });
+    setToolbarButtonActive(editButton, editMode);
+    // Finding nodes by name, type or widget value
+    setupSearch(minimapDiv);
+    // List of nodes with validation or execution errors
+    minimapDiv.errorList = createPanel(minimapDiv);
+    updateErrorList();
+    // Saved views of the main canvas, listed in a panel that the toolbar
+    // button shows and hides
+    minimapDiv.bookmarkList = createPanel(minimapDiv);
+    updateBookmarkList();
+    setupBookmarkKeys(minimapDiv);
+    addPanelToggleButton(minimapDiv, minimapDiv.bookmarkList, "★", "Bookmarks: save and recall views of the workflow");
+    // Outline of the workflow's groups, and the collapsed group view
+    minimapDiv.groupList = createPanel(minimapDiv);
+    addPanelToggleButton(minimapDiv, minimapDiv.groupList, "▤", "Groups: list the workflow's groups and jump to them", updateGroupList);
+    addSettingToggleButton(minimapDiv, "collapseGroups", "▣", "Show each group as a single block");
+    // Following the viewport instead of fitting the whole workflow
+    addSettingToggleButton(minimapDiv, "followViewport", "⌖", "Follow the viewport: show the area around the current view instead of the whole workflow");
+    // Lint mode and its summary of the problems found
+    minimapDiv.lintPanel = createPanel(minimapDiv);
+    updateLintPanel();
+    addSettingToggleButton(minimapDiv, "showLint", "⚑", "Lint: flag missing node types, unconnected required inputs, dead branches and broken links");
+    addSettingToggleButton(minimapDiv, "showChanges", "Δ", "Highlight what changed since the last queued run");
+    addSettingToggleButton(minimapDiv, "showLegend", "≡", "Show the legend of the display mode");
+    // Exporting the overview as an image
+    minimapDiv.exportPanel = createPanel(minimapDiv);
+    buildExportPanel();
+    addPanelToggleButton(minimapDiv, minimapDiv.exportPanel, "⤓", "Export the workflow overview as PNG or SVG");
+    // Node details when hovering the minimap
+    tooltipDiv = createTooltip();
+    setupHover(minimapCanvas);
+    // Click and hover events for other extensions
+    setupExtensionEvents(minimapCanvas);
+    // Moving, docking and resizing the minimap itself
+    setupWindowDrag(minimapDiv);
+    setupResize(minimapDiv, minimapCanvas);
+    setupLayoutWatchers();
+    // Fade in/out based on user activity, and showing, hiding and pinning
+    // it with the keyboard
     setupFadeBehaviour(minimapDiv);
+    setupVisibilityKeys();
+    // Keyboard navigation and screen reader announcements
+    setupKeyboard(minimapCanvas);
+    setupAccessibility(minimapDiv, minimapCanvas);
+}
+
+// Call a callback supplied by another extension, logging rather than
+// propagating any error so a faulty extension cannot break the minimap.
+function callExtension(fn, ...args) {
+    if (typeof fn !== "function") return undefined;
+    try {
+        return fn(...args);
+    } catch (error) {
+        console.error("Minimap extension callback failed:", error);
+        return undefined;
+    }
+}
+
+// The display mode selected in the settings, or null for "normal".
+function getActiveDisplayMode() {
+    return displayModes.get(settings.displayMode) ?? null;
+}
+
+// What overlay layers get to draw with: the graph, the minimap's size and
+// mapping, and helpers to convert graph coordinates and look up node
+// boxes.  All coordinates are in CSS pixels of the minimap.
+function getOverlayInfo(canvas) {
+    const { bounds, scale } = canvas;
+    return {
+        graph: getActiveGraph(),
+        width: canvas.displayWidth || canvas.width,
+        height: canvas.displayHeight || canvas.height,
+        scale,
+        bounds,
+        toMinimap: (x, y) => [(x - bounds.left) * scale, (y - bounds.top) * scale],
+        getNodeRect: (nodeId) => {
+            const r = canvas.nodeRectsById?.get(String(nodeId));
+            return r ? { x: r.x, y: r.y, w: r.w, h: r.h } : null;
+        },
+    };
+}
+
+// Draw the overlay layers with min <= zIndex < max, each with its own
+// saved context state.
+function drawOverlayLayers(ctx, info, min, max) {
+    for (const layer of overlayLayers) {
+        if (layer.zIndex < min || layer.zIndex >= max) continue;
+        ctx.save();
+        callExtension(layer.draw, ctx, info);
+        ctx.restore();
+    }
+}
+
+// Call the handlers registered for a minimap event.
+function emitMinimapEvent(type, detail) {
+    for (const handler of eventHandlers[type]) callExtension(handler, detail);
+}
+
+// Report clicks and hovering on the minimap to the handlers registered
+// with minimapApi.on(), with the node (or group) hit-tested under the
+// pointer.  A press that turned into a drag is not a click.  Hover events
+// fire whenever the item under the pointer changes, with null ids when
+// it leaves all items.
+function setupExtensionEvents(miniCanvas) {
+    let pressedAt = null;
+    let hovered = null;
+    const describe = (event) => {
+        const point = getMinimapPoint(miniCanvas, event);
+        const node = findNodeAt(miniCanvas, point.x, point.y);
+        const group = node ? null : findGroupAt(miniCanvas, point.x, point.y);
+        const [graphX, graphY] = minimapToGraph(miniCanvas, point.x, point.y);
+        return { nodeId: node ? node.id : null, node, group, graphX, graphY, originalEvent: event };
+    };
+    miniCanvas.addEventListener("pointerdown", (event) => {
+        pressedAt = { x: event.clientX, y: event.clientY };
+    });
+    miniCanvas.addEventListener("click", (event) => {
+        const moved = pressedAt && Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y) > 3;
+        pressedAt = null;
+        if (moved || !miniCanvas.bounds || eventHandlers.click.size === 0) return;
+        emitMinimapEvent("click", describe(event));
+    });
+    miniCanvas.addEventListener("pointermove", (event) => {
+        if (!miniCanvas.bounds || eventHandlers.hover.size === 0) return;
+        const detail = describe(event);
+        const item = detail.node ?? detail.group;
+        if (item === hovered) return;
+        hovered = item;
+        emitMinimapEvent("hover", detail);
+    });
+    miniCanvas.addEventListener("pointerleave", (event) => {
+        if (hovered == null || eventHandlers.hover.size === 0) return;
+        hovered = null;
+        emitMinimapEvent("hover", { nodeId: null, node: null, group: null, graphX: null, graphY: null, originalEvent: event });
+    });
+}
+
+// Add an item to a registry list, replacing one with the same id, and keep
+// the list sorted by `key`, highest first or lowest first.  Returns a
+// function that removes it again.
+function addToRegistry(list, item, key, descending) {
+    const existing = list.findIndex(entry => entry.id === item.id);
+    if (existing >= 0) list.splice(existing, 1);
+    list.push(item);
+    list.sort((a, b) => descending ? b[key] - a[key] : a[key] - b[key]);
+    return () => {
+        const index = list.indexOf(item);
+        if (index >= 0) list.splice(index, 1);
+        minimapApi.invalidate();
+    };
+}
+
+// Defaults of the synthetic large-graph benchmark, see runBenchmark().
+const BENCHMARK_DEFAULTS = {
+    nodes: 5000,         // number of nodes
+    linksPerNode: 1.5,   // average number of input links per node
+    groups: 50,          // nodes are laid out in this many grouped clusters
+    iterations: 20,      // runs per timed step
+    width: 300,          // minimap size in CSS pixels
+    height: 182,
+    seed: 1,
+};
+
+// Small deterministic PRNG (mulberry32) so every benchmark run uses the
+// same graph.
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Build a graph-shaped object with the fields the minimap reads.  Nodes
+// are laid out in clusters on a grid, one group around each cluster, and
+// most links stay within their cluster like they do in real workflows.
+function createSyntheticGraph(options) {
+    const random = createRandom(options.seed);
+    const clusters = Math.max(1, options.groups);
+    const perCluster = Math.ceil(options.nodes / clusters);
+    const clusterColumns = Math.ceil(Math.sqrt(clusters));
+    const nodeColumns = Math.ceil(Math.sqrt(perCluster));
+    const clusterSize = nodeColumns * 300 + 200;
+    const nodes = [];
+    const groups = [];
+    for (let c = 0; c < clusters; c++) {
+        const originX = (c % clusterColumns) * clusterSize;
+        const originY = Math.floor(c / clusterColumns) * clusterSize;
+        groups.push({
+            title: `Cluster ${c + 1}`,
+            pos: [originX, originY],
+            size: [clusterSize - 100, clusterSize - 100],
+            color: `hsl(${(c * 47) % 360}, 35%, 35%)`,
+        });
+        for (let i = 0; i < perCluster && nodes.length < options.nodes; i++) {
+            const id = nodes.length + 1;
+            nodes.push({
+                id,
+                type: "BenchmarkNode",
+                title: `Node ${id}`,
+                pos: [originX + 60 + (i % nodeColumns) * 300 + random() * 40, originY + 80 + Math.floor(i / nodeColumns) * 300 + random() * 40],
+                size: [220, 140 + Math.floor(random() * 80)],
+                flags: {},
+                mode: 0,
+                inputs: [],
+                outputs: [{ name: "out", type: "LATENT", links: [] }],
+                clusterStart: id - i,
+            });
+        }
+    }
+    const links = new Map();
+    for (const node of nodes) {
+        const count = Math.floor(options.linksPerNode + random());
+        for (let slot = 0; slot < count && node.id > 1; slot++) {
+            // Mostly from earlier nodes in the same cluster, sometimes from
+            // anywhere earlier in the graph
+            const from = random() < 0.8 && node.id > node.clusterStart
+                ? node.clusterStart + Math.floor(random() * (node.id - node.clusterStart))
+                : 1 + Math.floor(random() * (node.id - 1));
+            const id = links.size + 1;
+            links.set(id, { id, origin_id: from, origin_slot: 0, target_id: node.id, target_slot: slot, type: "LATENT" });
+            node.inputs.push({ name: `in${slot}`, type: "LATENT", link: id });
+            nodes[from - 1].outputs[0].links.push(id);
+        }
+    }
+    return {
+        _nodes: nodes,
+        _nodes_by_id: Object.fromEntries(nodes.map(node => [node.id, node])),
+        _groups: groups,
+        links,
+        extra: {},
+        getNodeById(id) { return this._nodes_by_id[id]; },
+    };
+}
+
+// Run fn `iterations` times (after one warm-up run) and report the mean
+// and fastest time in milliseconds.  `before` runs untimed ahead of each
+// iteration.
+function measure(step, iterations, fn, before) {
+    before?.(-1);
+    fn();
+    const times = [];
+    for (let i = 0; i < iterations; i++) {
+        before?.(i);
+        const start = performance.now();
+        fn();
+        times.push(performance.now() - start);
+    }
+    const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+    return { step, "mean (ms)": Number(mean.toFixed(3)), "min (ms)": Number(Math.min(...times).toFixed(3)) };
+}
+
+// Time the parts of the minimap that scale with graph size on a synthetic
+// graph: change detection, the spatial index (full and after a few nodes
+// moved), drawing the static layer and hit testing.  The graph, canvas and
+// layer are built offscreen, so neither the open workflow nor the minimap
+// on screen is touched.  Prints the results and returns them.
+function runBenchmark(options = {}) {
+    const opts = { ...BENCHMARK_DEFAULTS, ...options };
+    const graph = createSyntheticGraph(opts);
+    const canvas = document.createElement("canvas");
+    canvas.width = opts.width;
+    canvas.height = opts.height;
+    canvas.displayWidth = opts.width;
+    canvas.displayHeight = opts.height;
+    const layer = document.createElement("canvas");
+
+    const rows = [];
+    rows.push(measure("change detection (signature)", opts.iterations, () => computeGraphSignature(graph)));
+    rows.push(measure("spatial index (unchanged)", opts.iterations, () => updateSpatialIndex(graph)));
+    // Move 1% of the nodes before each run so only those are re-indexed
+    const moved = graph._nodes.filter((_, i) => i % 100 === 0);
+    rows.push(measure("spatial index (1% moved)", opts.iterations, () => updateSpatialIndex(graph), (i) => {
+        for (const node of moved) node.pos[0] += i % 2 === 0 ? 50 : -50;
+    }));
+    rows.push(measure("static layer render", opts.iterations, () => drawStaticLayer(graph, canvas, layer, null)));
+    const random = createRandom(opts.seed + 1);
+    const points = Array.from({ length: 1000 }, () => [random() * opts.width, random() * opts.height]);
+    rows.push(measure("hit test x1000", opts.iterations, () => {
+        for (const [x, y] of points) findNodeAt(canvas, x, y);
+    }));
+
+    const summary = { nodes: graph._nodes.length, links: graph.links.size, groups: graph._groups.length };
+    console.log("Minimap benchmark", summary);
+    console.table(rows);
+    return { summary, rows };
+}
+
+// Public API for other extensions, available as app.minimap and as the
+// `minimap` property of this extension.  Documented in the README.
+const minimapApi = {
+    // Draw an overlay layer on top of the graph.  `draw(ctx, info)` is
+    // called whenever the minimap redraws; layers are stacked by zIndex
+    // (see VIEWPORT_LAYER_Z).  Returns a function that removes the layer.
+    registerOverlay({ id, zIndex = 0, draw }) {
+        if (typeof draw !== "function") throw new TypeError("registerOverlay: draw must be a function");
+        const remove = addToRegistry(overlayLayers, { id: id ?? draw, zIndex, draw }, "zIndex", false);
+        minimapApi.invalidate({ overlayOnly: true });
+        return remove;
+    },
+
+    // Colour node boxes.  `decorate(node)` returns { fill, outline,
+    // outlineWidth } (any of them optional) or null to leave the node
+    // alone.  Errors and bypass still win; between decorators the highest
+    // priority wins.  Call invalidate() when the result would change.
+    registerNodeDecorator({ id, priority = 0, decorate }) {
+        if (typeof decorate !== "function") throw new TypeError("registerNodeDecorator: decorate must be a function");
+        const remove = addToRegistry(nodeDecorators, { id: id ?? decorate, priority, decorate }, "priority", true);
+        minimapApi.invalidate();
+        return remove;
+    },
+
+    // Add a display mode, selectable in the Display mode setting under
+    // `id`.  `nodeColour(node, context)` returns each node's fill;
+    // `prepare(graph)` runs once per redraw and returns the context;
+    // `legend(ctx, info, context)` may draw a legend.  Set hidePreviews to
+    // leave image previews out.
+    registerDisplayMode({ id, prepare, nodeColour, legend, hidePreviews = false }) {
+        if (!id || id === "normal") throw new TypeError("registerDisplayMode: a unique id is required");
+        if (typeof nodeColour !== "function") throw new TypeError("registerDisplayMode: nodeColour must be a function");
+        displayModes.set(id, { id, prepare, nodeColour, legend, hidePreviews });
+        const def = SETTING_DEFINITIONS.find(d => d.key === "displayMode");
+        if (!def.options.includes(id)) def.options.push(id);
+        // A saved choice of this mode was rejected before it existed
+        const stored = app?.ui?.settings?.getSettingValue?.(def.id, def.defaultValue);
+        if (stored === id) settings.displayMode = id;
+        minimapApi.invalidate();
+        return () => {
+            displayModes.delete(id);
+            def.options.splice(def.options.indexOf(id), 1);
+            if (settings.displayMode === id) settings.displayMode = "normal";
+            minimapApi.invalidate();
+        };
+    },
+
+    // Listen for "click" or "hover" on the minimap.  The handler receives
+    // { nodeId, node, group, graphX, graphY, originalEvent }.  Returns a
+    // function that removes the handler.
+    on(type, handler) {
+        if (!eventHandlers[type]) throw new TypeError(`minimap.on: unknown event "${type}"`);
+        eventHandlers[type].add(handler);
+        return () => eventHandlers[type].delete(handler);
+    },
+
+    // Redraw the minimap after something an overlay, decorator or display
+    // mode shows has changed.  Pass { overlayOnly: true } when only
+    // overlay layers changed, which skips rebuilding the graph drawing.
+    invalidate({ overlayOnly = false } = {}) {
+        extensionVersion++;
+        if (overlayOnly) requestMiniMapFrame();
+        else invalidateMiniMap();
+    },
+
+    // Time the minimap on a synthetic graph of `nodes` nodes (see
+    // BENCHMARK_DEFAULTS for the other options) and return the results.
+    benchmark(options) {
+        return runBenchmark(options);
+    },
+
+    // Remove the minimap and undo everything it hooked into ComfyUI.
+    dispose() {
+        disposeMinimap();
+    },
+};
+
+// Remove the minimap: its DOM elements, timers, animation, every
+// listener it added outside its own elements and the queuePrompt wrapper.
+function disposeMinimap() {
+    if (originalQueuePrompt) {
+        api.queuePrompt = originalQueuePrompt;
+        originalQueuePrompt = null;
+    }
+    if (!minimapDiv) return;
+    while (disposers.length > 0) disposers.pop()();
+    clearInterval(renderTimer);
+    renderTimer = null;
+    if (viewAnimation) cancelAnimationFrame(viewAnimation);
+    viewAnimation = null;
+    minimapDiv.remove();
+    tooltipDiv?.remove();
+    minimapDiv = null;
+    minimapCanvas = null;
+    tooltipDiv = null;
+    staticLayer = null;
+    staticLayerDirty = true;
+    lastGraphSignature = null;
+    lastOverlayKey = null;
+    lintState.key = null;
+    followView = null;
+    activeGraph = null;
+    graphPath = [];
+    visibilityMode = "auto";
 }
 
-// Kick off the initialization when this script is loaded
-waitForGraphReady();
+// Settings are registered as soon as this script is loaded so they show
+// up in the settings panel straight away, and prompt validation is
+// watched from the start so no rejected prompt is missed.  The minimap
+// itself is created by ComfyUI's extension lifecycle once the app is set
+// up, and told about every workflow that gets loaded.
+registerSettings();
+watchPromptValidation();
+app.minimap = minimapApi;
+app.registerExtension({
+    name: "Minimap.Enhanced",
+    minimap: minimapApi,
+    commands: VISIBILITY_COMMANDS,
+    keybindings: VISIBILITY_KEYBINDINGS,
+    setup() {
+        initializeMinimap();
+    },
+    afterConfigureGraph() {
+        handleWorkflowLoaded();
+    },
+});